@@ -1,3 +1,7 @@
+const KNEE_TRACKING_LOW = "knee drifts inward, towards the top tube, through the pedal stroke (valgus tracking). Over time this loads the inside of the knee and is a common source of medial knee pain. Try widening your stance: move the cleat towards the inside edge of the shoe or add pedal spacers. Arch support or a varus wedge under the forefoot often helps when the arch collapses under load.";
+const KNEE_TRACKING_HIGH = "knee bows outward, away from the top tube, through the pedal stroke (varus tracking). This can strain the outside of the knee and the IT band. Try narrowing your stance: move the cleat towards the outside edge of the shoe (bringing the foot closer to the crank), and check for excess float or a valgus forefoot tilt that a wedge can correct.";
+const KNEE_TRACKING_GOOD = "knee tracks in a straight line between hip and ankle — cleat position and stance width look well matched.";
+
 const THRESHOLDS = {
   knee: {
     name: "Knee (at BDC)",
@@ -35,8 +39,106 @@ const THRESHOLDS = {
     highSuggestion: "Your arms are nearly locked out, which transmits road vibration directly into your shoulders and neck. A slight elbow bend acts as a natural shock absorber. Consider a shorter stem or sliding the saddle forward slightly. This is a comfort concern — not an injury risk, but you'll likely feel better with a bit more bend.",
     goodSuggestion: "Elbow bend is in a comfortable range — enough to absorb road vibration without causing arm fatigue.",
   },
+  ankle: {
+    name: "Ankle (range of motion)",
+    category: "Mixed",
+    min: 15,
+    max: 30,
+    lowSuggestion: "Your ankle barely moves through the pedal stroke. A locked ankle is not harmful in itself, but it pushes all the work onto the knee and hip and can make a marginal saddle height feel worse. If your knee angle is also low, raise the saddle before trying to change your pedaling style.",
+    highSuggestion: "Your ankle moves a lot through the pedal stroke — heavy heel drop at the top or toes pointing down at the bottom. Pointing the toes to reach the bottom of the stroke is a classic sign of a saddle that is too high; dropping the heel hard can indicate one that is too low. Check your knee angle first, then consider cleat position (moving cleats back reduces calf load).",
+    goodSuggestion: "Ankle motion is in a typical range — the foot is stable without being locked.",
+  },
+  kops: {
+    name: "Knee over pedal (3 o'clock)",
+    category: "Mixed",
+    unit: "%",
+    min: -5,
+    max: 5,
+    lowSuggestion: "With the cranks horizontal, the front of your knee sits behind the pedal spindle. This shifts load onto the glutes and hamstrings and can go with an overly open hip. Slide your saddle forward a few millimetres at a time, then re-check your knee angle — moving the saddle forward effectively raises it less than you'd expect, but it does change the reach to the bars.",
+    highSuggestion: "With the cranks horizontal, the front of your knee sits ahead of the pedal spindle. This loads the front of the knee and quadriceps more than necessary. Slide your saddle back a few millimetres at a time; moving it back also lengthens the reach to the handlebars, so re-check your torso and elbow angles afterwards.",
+    goodSuggestion: "Your knee sits close to over the pedal spindle at 3 o'clock — a neutral saddle fore/aft starting point.",
+  },
+  hipRock: {
+    name: "Hip rocking / saddle bounce",
+    category: "Injury risk",
+    unit: "%",
+    min: 0,
+    max: 6,
+    lowSuggestion: "Your hips barely move on the saddle. That is not a problem in itself — no change needed.",
+    highSuggestion: "Your pelvis moves noticeably on the saddle each pedal stroke — rocking or bouncing instead of staying planted. Besides wasting energy, this causes saddle sores and lower-back strain.",
+    goodSuggestion: "Your pelvis stays stable on the saddle through the pedal stroke.",
+  },
+  trackLeft: {
+    name: "Left knee tracking",
+    category: "Injury risk",
+    unit: "%",
+    min: -5,
+    max: 5,
+    lowSuggestion: `Your left ${KNEE_TRACKING_LOW}`,
+    highSuggestion: `Your left ${KNEE_TRACKING_HIGH}`,
+    goodSuggestion: `Your left ${KNEE_TRACKING_GOOD}`,
+  },
+  trackRight: {
+    name: "Right knee tracking",
+    category: "Injury risk",
+    unit: "%",
+    min: -5,
+    max: 5,
+    lowSuggestion: `Your right ${KNEE_TRACKING_LOW}`,
+    highSuggestion: `Your right ${KNEE_TRACKING_HIGH}`,
+    goodSuggestion: `Your right ${KNEE_TRACKING_GOOD}`,
+  },
 };
 
+// Road texts, restored before a preset's overrides are applied
+const BASE_SUGGESTIONS = Object.fromEntries(
+  Object.entries(THRESHOLDS).map(([key, { lowSuggestion, highSuggestion, goodSuggestion }]) => [
+    key,
+    { lowSuggestion, highSuggestion, goodSuggestion },
+  ])
+);
+
+// Per-cycle value each threshold is evaluated against. Side- and front-view
+// sessions record different metrics, so every lookup is optional.
+// Knee and hip are read at the true crank positions when the crank phase was
+// tracked, falling back to the cycle's extreme (max knee / min hip) otherwise.
+const CYCLE_VALUES = {
+  knee: (c) => c.angles.positions?.bdc?.knee ?? c.angles.knee?.max,
+  hip: (c) => c.angles.positions?.tdc?.hip ?? c.angles.hip?.min,
+  torso: (c) => c.angles.torso?.avg,
+  elbow: (c) => c.angles.elbow?.avg,
+  ankle: (c) => c.angles.ankle?.range,
+  kops: (c) => c.angles.kops?.ratio,
+  hipRock: (c) => c.angles.hipRock?.amplitude,
+  trackLeft: (c) => c.angles.trackLeft?.avg,
+  trackRight: (c) => c.angles.trackRight?.avg,
+};
+
+// Follow-up to the hip rocking suggestion, keyed by the knee extension status,
+// because a saddle that is too high is the most common cause of rocking.
+const HIP_ROCK_KNEE_CONTEXT = {
+  high: "Your knee extension is also above range, which points strongly to a saddle that is too high: the pelvis drops to let the leg reach the bottom of the stroke. Lower the saddle first and re-test.",
+  low: "Your knee extension is below range, so saddle height is unlikely to be the cause. Look at cadence (very high cadence causes bouncing), saddle shape and padding, or core fatigue.",
+  good: "Your knee extension is in range, so saddle height alone is probably not the cause. Check for a leg length difference, a saddle that is too soft or tilted, or bouncing at very high cadence.",
+  unknown: "Check your knee extension in a side-view session: a saddle that is too high is the most common cause of rocking.",
+};
+
+/**
+ * Extend the hip rocking suggestion with what the knee extension result
+ * says about the likely cause.
+ */
+function addHipRockContext(results) {
+  const hipRock = results.find((r) => r.key === "hipRock");
+  if (!hipRock || hipRock.status === "green") return;
+
+  const knee = results.find((r) => r.key === "knee");
+  let context = "unknown";
+  if (knee) {
+    context = knee.avg > knee.targetMax ? "high" : knee.avg < knee.targetMin ? "low" : "good";
+  }
+  hipRock.suggestion = `${hipRock.suggestion} ${HIP_ROCK_KNEE_CONTEXT[context]}`;
+}
+
 /**
  * Update threshold ranges (called when user changes settings).
  * @param {Object} ranges - { knee: [min, max], hip: [min, max], ... }
@@ -50,6 +152,17 @@ export function updateThresholds(ranges) {
   }
 }
 
+/**
+ * Swap in a discipline preset's recommendation texts (called when the preset changes).
+ * Metrics the preset doesn't mention get the road texts back.
+ * @param {Object} suggestions - { knee: { lowSuggestion?, highSuggestion?, goodSuggestion? }, ... }
+ */
+export function updateSuggestions(suggestions = {}) {
+  for (const [key, base] of Object.entries(BASE_SUGGESTIONS)) {
+    Object.assign(THRESHOLDS[key], base, suggestions[key]);
+  }
+}
+
 const TRIM_END_MS = 5_000; // 5 seconds
 
 /**
@@ -70,6 +183,20 @@ export function trimCycles(cycleData) {
   return cycleData.filter((c) => c.timestamp <= lastTime - TRIM_END_MS);
 }
 
+/**
+ * Status and suggestion for an average against a threshold.
+ * @returns {Object} { status: "green" | "yellow" | "red", suggestion }
+ */
+function rate(threshold, avg) {
+  if (avg < threshold.min) {
+    return { status: threshold.min - avg > 10 ? "red" : "yellow", suggestion: threshold.lowSuggestion };
+  }
+  if (avg > threshold.max) {
+    return { status: avg - threshold.max > 10 ? "red" : "yellow", suggestion: threshold.highSuggestion };
+  }
+  return { status: "green", suggestion: threshold.goodSuggestion };
+}
+
 /**
  * Analyze recorded cycle data and produce recommendations.
  * @param {Array} cycleData - array of cycle summaries from cadence detector
@@ -78,43 +205,24 @@ export function trimCycles(cycleData) {
 export function analyzeSession(cycleData) {
   if (cycleData.length === 0) return [];
 
-  const kneeValues = cycleData.map((c) => c.angles.knee.max);
-  const hipValues = cycleData.map((c) => c.angles.hip.min);
-  const torsoValues = cycleData.map((c) => c.angles.torso.avg);
-  const elbowValues = cycleData.map((c) => c.angles.elbow.avg);
-
-  const angleValues = { knee: kneeValues, hip: hipValues, torso: torsoValues, elbow: elbowValues };
-
   const results = [];
   for (const [key, threshold] of Object.entries(THRESHOLDS)) {
-    const values = angleValues[key];
+    // Optional metrics (e.g. ankle when the foot was hidden, or metrics of the
+    // other camera view) are skipped per cycle
+    const values = cycleData.map(CYCLE_VALUES[key]).filter((v) => v !== null && v !== undefined);
+    if (values.length === 0) continue;
+
     const avg = values.reduce((s, v) => s + v, 0) / values.length;
     const min = Math.min(...values);
     const max = Math.max(...values);
     const std = Math.sqrt(values.reduce((s, v) => s + (v - avg) ** 2, 0) / values.length);
-
-    let status, suggestion;
-    const diff = avg < threshold.min
-      ? threshold.min - avg
-      : avg > threshold.max
-        ? avg - threshold.max
-        : 0;
-
-    if (avg < threshold.min) {
-      status = diff > 10 ? "red" : "yellow";
-      suggestion = threshold.lowSuggestion;
-    } else if (avg > threshold.max) {
-      status = diff > 10 ? "red" : "yellow";
-      suggestion = threshold.highSuggestion;
-    } else {
-      status = "green";
-      suggestion = threshold.goodSuggestion;
-    }
+    const { status, suggestion } = rate(threshold, avg);
 
     results.push({
       key,
       name: threshold.name,
       category: threshold.category,
+      unit: threshold.unit || "°",
       avg: Math.round(avg * 10) / 10,
       min: Math.round(min * 10) / 10,
       max: Math.round(max * 10) / 10,
@@ -126,13 +234,83 @@ export function analyzeSession(cycleData) {
     });
   }
 
+  addHipRockContext(results);
   return results;
 }
 
+// Angles a snapshot correction can override. The ankle card rates range of
+// motion, which one corrected frame can't give.
+export const OVERRIDE_KEYS = ["knee", "hip", "torso", "elbow"];
+
+/**
+ * Replace measured averages with angles the fitter corrected by hand on a
+ * snapshot, in place. Status and suggestion follow the override, against the
+ * session's own target range; the measured average is kept in rec.override so
+ * the card can show both and a removed override can be restored.
+ * @param {Array} results - analyzeSession() results
+ * @param {Object} corrections - angle key → { value } (keys without one get their measured average back)
+ * @param {Object} suggestions - the session's preset texts (see updateSuggestions()), so an
+ *   old session keeps its own wording whichever preset is active now
+ */
+export function applyOverrides(results, corrections = {}, suggestions = {}) {
+  const textsFor = (key) => ({ ...BASE_SUGGESTIONS[key], ...suggestions[key] });
+  for (const rec of results) {
+    if (!OVERRIDE_KEYS.includes(rec.key)) continue;
+    const measured = rec.override?.measured ?? rec.avg;
+    const value = corrections[rec.key]?.value ?? null;
+    rec.avg = value ?? measured;
+    if (value === null) delete rec.override;
+    else rec.override = { measured };
+    Object.assign(rec, rate({ ...textsFor(rec.key), min: rec.targetMin, max: rec.targetMax }, rec.avg));
+  }
+
+  // The hip rocking advice depends on the knee result
+  const hipRock = results.find((r) => r.key === "hipRock");
+  if (hipRock) {
+    Object.assign(hipRock, rate({ ...textsFor("hipRock"), min: hipRock.targetMin, max: hipRock.targetMax }, hipRock.avg));
+    addHipRockContext(results);
+  }
+}
+
+export const STATUS_LABELS = {
+  green: "In range",
+  yellow: "Slightly out of range",
+  red: "Out of range",
+};
+
+/**
+ * Compute per-angle changes between two analyzed sessions.
+ * @param {Array} before - analyzeSession() results of the baseline session
+ * @param {Array} after - analyzeSession() results of the session after the change
+ * @returns {Object} angle key → { avgDelta, stdDelta, statusBefore, statusAfter }
+ */
+export function compareResults(before, after) {
+  const beforeByKey = Object.fromEntries(before.map((r) => [r.key, r]));
+  const comparison = {};
+  for (const rec of after) {
+    const prev = beforeByKey[rec.key];
+    if (!prev) continue;
+    comparison[rec.key] = {
+      avgDelta: Math.round((rec.avg - prev.avg) * 10) / 10,
+      stdDelta: Math.round((rec.std - prev.std) * 10) / 10,
+      statusBefore: prev.status,
+      statusAfter: rec.status,
+    };
+  }
+  return comparison;
+}
+
+function formatDelta(value, unit) {
+  return `${value > 0 ? "+" : value < 0 ? "\u2212" : "\u00B1"}${Math.abs(value)}${unit}`;
+}
+
 /**
  * Render recommendation cards into the DOM.
+ * @param {Array} recommendations - analyzeSession() results, optionally carrying an
+ *   `adjustment` text from calibration.estimateAdjustments()
+ * @param {Object|null} comparison - optional compareResults() output to show deltas against a baseline
  */
-export function renderRecommendations(recommendations) {
+export function renderRecommendations(recommendations, comparison = null) {
   const container = document.getElementById("recommendationCards");
   container.innerHTML = "";
 
@@ -140,7 +318,7 @@ export function renderRecommendations(recommendations) {
     const card = document.createElement("div");
     card.className = `rec-card rec-card--${rec.status}`;
 
-    const statusLabel = rec.status === "green" ? "In range" : rec.status === "yellow" ? "Slightly out of range" : "Out of range";
+    const statusLabel = STATUS_LABELS[rec.status];
 
     // Only show the category badge (injury risk, comfort, mixed) when out of range
     let categoryHtml = "";
@@ -149,20 +327,36 @@ export function renderRecommendations(recommendations) {
       categoryHtml = `<span class="rec-card__category rec-card__category--${categoryClass}">${rec.category}</span>`;
     }
 
+    let compareHtml = "";
+    const delta = comparison?.[rec.key];
+    const unit = rec.unit || "°";
+    if (delta) {
+      const statusChange = delta.statusBefore === delta.statusAfter
+        ? `Status unchanged (${STATUS_LABELS[delta.statusAfter].toLowerCase()})`
+        : `<span class="rec-card__status--${delta.statusBefore}">${STATUS_LABELS[delta.statusBefore]}</span> → <span class="rec-card__status--${delta.statusAfter}">${STATUS_LABELS[delta.statusAfter]}</span>`;
+      compareHtml = `
+      <div class="rec-card__compare">
+        <span>vs. before: Avg <strong>${formatDelta(delta.avgDelta, unit)}</strong> · SD ${formatDelta(delta.stdDelta, unit)}</span>
+        <span>${statusChange}</span>
+      </div>`;
+    }
+
     card.innerHTML = `
       <div class="rec-card__header">
         <span class="rec-card__name">${rec.name}</span>
         <div class="rec-card__badges">
-          ${categoryHtml}
+          ${categoryHtml}${rec.override ? `
+          <span class="rec-card__override" title="Corrected by hand on the snapshot">Manual override</span>` : ""}
           <span class="rec-card__badge rec-card__badge--${rec.status}">${statusLabel}</span>
         </div>
       </div>
       <div class="rec-card__stats">
-        <span class="rec-card__avg">Average: <strong>${rec.avg}°</strong></span>
-        <span class="rec-card__target-range">Target: ${rec.targetMin}°–${rec.targetMax}°</span>
+        <span class="rec-card__avg">${rec.override ? "Manual override" : "Average"}: <strong>${rec.avg}${unit}</strong></span>
+        <span class="rec-card__target-range">Target: ${rec.targetMin}${unit}–${rec.targetMax}${unit}</span>
       </div>
-      <div class="rec-card__detail">Range: ${rec.min}°–${rec.max}° · SD: ${rec.std}°</div>
-      <div class="rec-card__suggestion">${rec.suggestion}</div>
+      <div class="rec-card__detail">${rec.override ? `Measured average: ${rec.override.measured}${unit} · ` : ""}Range: ${rec.min}${unit}–${rec.max}${unit} · SD: ${rec.std}${unit}</div>${compareHtml}
+      <div class="rec-card__suggestion">${rec.suggestion}</div>${rec.adjustment ? `
+      <div class="rec-card__adjustment">Estimated change: <strong>${rec.adjustment}</strong></div>` : ""}
     `;
     container.appendChild(card);
   }
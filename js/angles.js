@@ -4,6 +4,68 @@ const SIDE_LANDMARKS = {
   right: { shoulder: 12, elbow: 14, wrist: 16, hip: 24, knee: 26, ankle: 28 },
 };
 
+// Foot landmarks are tracked less reliably (shoes, crank arm occlusion), so they
+// are optional: missing feet only drop the ankle angle, not the whole frame.
+const SIDE_FOOT_LANDMARKS = {
+  left: { heel: 29, footIndex: 31 },
+  right: { heel: 30, footIndex: 32 },
+};
+
+// The knee landmark is the joint centre; the front of the kneecap sits roughly
+// 10% of thigh length further forward.
+const KNEE_FRONT_OFFSET = 0.1;
+// The pedal spindle sits under the ball of the foot, ~70% of the way from heel to toe.
+const BALL_OF_FOOT = 0.7;
+
+// Shoulder width relative to torso length above which the rider is taken to be
+// facing the camera. Side on, the shoulders overlap (ratio near 0); face on,
+// shoulder width is roughly 0.7–0.9 of torso length.
+const FRONT_VIEW_RATIO = 0.45;
+
+// Camera roll in radians: the angle a truly horizontal line makes in the image
+// (positive = its right end sits lower). Landmarks are rotated back by this
+// amount before any angle is computed.
+let cameraTilt = 0;
+
+/**
+ * Set the camera roll correction applied to all landmarks.
+ * @param {number} degrees - from calibration.tiltFromPoints() or tiltFromOrientation()
+ */
+export function setTilt(degrees) {
+  cameraTilt = (degrees * Math.PI) / 180;
+}
+
+/**
+ * Rotate an aspect-corrected point about the image centre. direction -1 levels
+ * a raw image point; +1 maps a levelled point back into the image for drawing.
+ */
+function rotate(x, y, aspectRatio, direction) {
+  if (cameraTilt === 0) return { x, y };
+  const cx = aspectRatio / 2;
+  const cy = 0.5;
+  const cos = Math.cos(direction * cameraTilt);
+  const sin = Math.sin(direction * cameraTilt);
+  return {
+    x: cx + (x - cx) * cos - (y - cy) * sin,
+    y: cy + (x - cx) * sin + (y - cy) * cos,
+  };
+}
+
+/**
+ * Aspect-correct and level one MediaPipe landmark.
+ */
+function levelPoint(lm, aspectRatio) {
+  return rotate(lm.x * aspectRatio, lm.y, aspectRatio, -1);
+}
+
+/**
+ * Map a levelled, aspect-corrected point back to normalized image coords.
+ */
+function toImagePoint(p, aspectRatio) {
+  const { x, y } = rotate(p.x, p.y, aspectRatio, 1);
+  return { x: x / aspectRatio, y };
+}
+
 /**
  * Compute the angle (in degrees) at the vertex point B given three 2D points A-B-C.
  * Returns a value in [0, 180].
@@ -33,7 +95,8 @@ function angleFromHorizontal(a, b) {
 
 /**
  * Extract the relevant landmarks for the given side, check visibility,
- * and correct for aspect ratio so x and y are in equal physical units.
+ * correct for aspect ratio so x and y are in equal physical units, and
+ * level them using the camera tilt set by setTilt().
  *
  * MediaPipe normalized coords map x to [0,1] over image width and y to [0,1]
  * over image height. On a 16:9 image, the same physical distance produces
@@ -48,17 +111,24 @@ function getLandmarks(allLandmarks, side, aspectRatio, visibilityThreshold = 0.6
     if (!lm || (lm.visibility !== undefined && lm.visibility < visibilityThreshold)) {
       return null;
     }
-    result[name] = { x: lm.x * aspectRatio, y: lm.y };
+    result[name] = levelPoint(lm, aspectRatio);
+  }
+  for (const [name, idx] of Object.entries(SIDE_FOOT_LANDMARKS[side])) {
+    const lm = allLandmarks[idx];
+    if (lm && (lm.visibility === undefined || lm.visibility >= visibilityThreshold)) {
+      result[name] = levelPoint(lm, aspectRatio);
+    }
   }
   return result;
 }
 
 /**
- * Compute all 4 bike-fit angles from a set of side landmarks.
+ * Compute the bike-fit angles from a set of side landmarks.
  * @param {Array} allLandmarks - MediaPipe landmarks array
  * @param {string} side - "left" or "right"
  * @param {number} aspectRatio - video width / height
- * Returns { knee, hip, torso, elbow } in degrees, or null if landmarks are missing.
+ * Returns { knee, hip, torso, elbow, ankle } in degrees, or null if landmarks are missing.
+ * ankle (knee–ankle–foot index, larger = more plantarflexed) is null when the foot isn't visible.
  */
 export function computeAngles(allLandmarks, side, aspectRatio = 16 / 9) {
   const lm = getLandmarks(allLandmarks, side, aspectRatio);
@@ -68,8 +138,163 @@ export function computeAngles(allLandmarks, side, aspectRatio = 16 / 9) {
   const hip = angleDeg(lm.shoulder, lm.hip, lm.knee);
   const torso = angleFromHorizontal(lm.hip, lm.shoulder);
   const elbow = angleDeg(lm.shoulder, lm.elbow, lm.wrist);
+  const ankle = lm.footIndex ? angleDeg(lm.knee, lm.ankle, lm.footIndex) : null;
+
+  return { knee, hip, torso, elbow, ankle };
+}
+
+/**
+ * Measure knee-over-pedal-spindle (KOPS) geometry for one frame.
+ * Forward is the direction the rider faces (wrist relative to hip), so the
+ * result doesn't depend on which way the bike points in the image.
+ * @param {Array} allLandmarks - MediaPipe landmarks array
+ * @param {string} side - "left" or "right"
+ * @param {number} aspectRatio - video width / height
+ * @returns {Object|null} {
+ *   pedalForward - forward position of the pedal (largest at 3 o'clock),
+ *   offset - horizontal distance from pedal to front of knee, + = knee ahead of pedal,
+ *   thighLength - hip–knee distance (same aspect-corrected units as offset),
+ *   kneeFront, pedal - raw normalized image points for drawing,
+ *   pedalY - levelled vertical position of the pedal
+ * } or null if the foot isn't visible
+ */
+export function computeSetback(allLandmarks, side, aspectRatio = 16 / 9) {
+  const lm = getLandmarks(allLandmarks, side, aspectRatio);
+  if (!lm || !lm.heel || !lm.footIndex) return null;
+
+  const forward = Math.sign(lm.wrist.x - lm.hip.x) || 1;
+  const thighLength = Math.hypot(lm.knee.x - lm.hip.x, lm.knee.y - lm.hip.y);
+  const kneeFrontX = lm.knee.x + forward * KNEE_FRONT_OFFSET * thighLength;
+  const pedal = {
+    x: lm.heel.x + BALL_OF_FOOT * (lm.footIndex.x - lm.heel.x),
+    y: lm.heel.y + BALL_OF_FOOT * (lm.footIndex.y - lm.heel.y),
+  };
+
+  return {
+    pedalForward: pedal.x * forward,
+    offset: (kneeFrontX - pedal.x) * forward,
+    thighLength,
+    kneeFront: toImagePoint({ x: kneeFrontX, y: lm.knee.y }, aspectRatio),
+    pedal: toImagePoint(pedal, aspectRatio),
+    pedalY: pedal.y,
+  };
+}
+
+/**
+ * Body segment lengths for one frame, in aspect-corrected units.
+ * Multiply by a calibration scale to get millimetres.
+ * @returns {Object|null} { thigh, shank, torso, arm } where arm is upper arm plus forearm
+ */
+export function computeSegmentLengths(allLandmarks, side, aspectRatio = 16 / 9) {
+  const lm = getLandmarks(allLandmarks, side, aspectRatio);
+  if (!lm) return null;
+
+  const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  return {
+    thigh: dist(lm.hip, lm.knee),
+    shank: dist(lm.knee, lm.ankle),
+    torso: dist(lm.hip, lm.shoulder),
+    arm: dist(lm.shoulder, lm.elbow) + dist(lm.elbow, lm.wrist),
+  };
+}
+
+// Both legs, for the front view
+const LEG_LANDMARKS = {
+  left: { hip: 23, knee: 25, ankle: 27 },
+  right: { hip: 24, knee: 26, ankle: 28 },
+};
+
+/**
+ * Hip position for rocking/bounce tracking, with thigh length as the scale.
+ * side "front" uses the pelvis centre (midpoint of both hips) and mean thigh length.
+ * @param {Array} allLandmarks - MediaPipe landmarks array
+ * @param {string} side - "left", "right" or "front"
+ * @param {number} aspectRatio - video width / height
+ * @returns {Object|null} { x, y, thighLength } in aspect-corrected units
+ */
+export function computeHipPosition(allLandmarks, side, aspectRatio = 16 / 9, visibilityThreshold = 0.6) {
+  const legs = side === "front" ? ["left", "right"] : [side];
+  let x = 0;
+  let y = 0;
+  let thighLength = 0;
+  for (const leg of legs) {
+    const hip = allLandmarks[LEG_LANDMARKS[leg].hip];
+    const knee = allLandmarks[LEG_LANDMARKS[leg].knee];
+    for (const lm of [hip, knee]) {
+      if (!lm || (lm.visibility !== undefined && lm.visibility < visibilityThreshold)) return null;
+    }
+    const levelled = levelPoint(hip, aspectRatio);
+    x += levelled.x;
+    y += levelled.y;
+    thighLength += Math.hypot((knee.x - hip.x) * aspectRatio, knee.y - hip.y);
+  }
+  return { x: x / legs.length, y: y / legs.length, thighLength: thighLength / legs.length };
+}
+
+/**
+ * Measure frontal-plane knee tracking for both legs (front view).
+ * For each leg, the knee's horizontal offset from the straight hip–ankle line
+ * at the knee's height, as % of hip–ankle distance. Positive = knee outside
+ * the line (varus, bowing out), negative = inside (valgus, dropping in).
+ * @param {Array} allLandmarks - MediaPipe landmarks array
+ * @param {number} aspectRatio - video width / height
+ * @returns {Object|null} { trackLeft, trackRight } or null if a leg isn't visible
+ */
+export function computeKneeTracking(allLandmarks, aspectRatio = 16 / 9, visibilityThreshold = 0.6) {
+  const legs = {};
+  for (const [leg, indices] of Object.entries(LEG_LANDMARKS)) {
+    const pts = {};
+    for (const [name, idx] of Object.entries(indices)) {
+      const lm = allLandmarks[idx];
+      if (!lm || (lm.visibility !== undefined && lm.visibility < visibilityThreshold)) return null;
+      pts[name] = levelPoint(lm, aspectRatio);
+    }
+    legs[leg] = pts;
+  }
+
+  const midX = (legs.left.hip.x + legs.right.hip.x) / 2;
+  const result = {};
+  for (const [leg, { hip, knee, ankle }] of Object.entries(legs)) {
+    const legLength = Math.hypot(ankle.x - hip.x, ankle.y - hip.y);
+    if (legLength === 0 || ankle.y === hip.y) return null;
+
+    const lineX = hip.x + ((ankle.x - hip.x) * (knee.y - hip.y)) / (ankle.y - hip.y);
+    const outward = Math.sign(hip.x - midX) || 1;
+    const key = leg === "left" ? "trackLeft" : "trackRight";
+    result[key] = (((knee.x - lineX) * outward) / legLength) * 100;
+  }
+  return result;
+}
+
+/**
+ * Determine which side of the body is more visible to the camera.
+ * Compares average visibility of left-side vs right-side landmarks.
+ */
+export function detectVisibleSide(landmarks) {
+  const leftIndices = [11, 13, 15, 23, 25, 27];
+  const rightIndices = [12, 14, 16, 24, 26, 28];
+
+  const leftVis = leftIndices.reduce((sum, i) => sum + (landmarks[i]?.visibility || 0), 0);
+  const rightVis = rightIndices.reduce((sum, i) => sum + (landmarks[i]?.visibility || 0), 0);
+
+  return leftVis > rightVis ? "left" : "right";
+}
+
+/**
+ * Determine whether the rider faces the camera ("front") or is seen side on ("side").
+ * Compares apparent shoulder width with torso length, in aspect-corrected units.
+ */
+export function detectView(landmarks, aspectRatio = 16 / 9) {
+  const [ls, rs, lh, rh] = [11, 12, 23, 24].map((i) => landmarks[i]);
+  if (!ls || !rs || !lh || !rh) return "side";
+
+  const shoulderWidth = Math.abs(ls.x - rs.x) * aspectRatio;
+  const midShoulder = { x: ((ls.x + rs.x) / 2) * aspectRatio, y: (ls.y + rs.y) / 2 };
+  const midHip = { x: ((lh.x + rh.x) / 2) * aspectRatio, y: (lh.y + rh.y) / 2 };
+  const torsoLength = Math.hypot(midShoulder.x - midHip.x, midShoulder.y - midHip.y);
+  if (torsoLength === 0) return "side";
 
-  return { knee, hip, torso, elbow };
+  return shoulderWidth / torsoLength > FRONT_VIEW_RATIO ? "front" : "side";
 }
 
 /**
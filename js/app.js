@@ -1,29 +1,194 @@
-import { initPose, startDetection, stopDetection, getAspectRatio, setSide, setOverlayVisible, detectVisibleSide, captureSnapshot } from "./pose.js";
-import { computeAngles, getKneeLandmark } from "./angles.js";
-import { CadenceDetector } from "./cadence.js";
-import { initCharts, addDataPoint, resetCharts, rebuildCharts, updateChartRanges } from "./charts.js";
-import { analyzeSession, renderRecommendations, trimCycles, updateThresholds } from "./analysis.js";
+import { initPose, setBackend, getBackendInfo, configureAnalysis, runBenchmark, onFrameStats, setVideoRecorder, DEFAULT_CAMERA, useCamera, listCameras, getCameraSettings, useVideoFile, useReplay, useSimulator, isFileSource, getFileProgress, startDetection, stopDetection, getAspectRatio, setSide, setOverlayVisible, captureSnapshot, renderSnapshot, getSnapshotJoints, moveSnapshotJoints, captureSetbackSnapshot, captureTrackingSnapshot, captureFrame } from "./pose.js";
+import { DEFAULT_CADENCE } from "./cadence.js";
+import { initCharts, addCycleData, resetCharts, rebuildCharts, updateChartRanges, showComparison, clearComparison, getChartImages, initSmoothingDebug, addSmoothingSample, resetSmoothingDebug, initProfileCharts, renderProfiles, resetProfiles, onCycleSelect, highlightCycle } from "./charts.js";
+import { DEFAULT_SMOOTHING } from "./smoothing.js";
+import { analyzeSession, renderRecommendations, trimCycles, updateThresholds, updateSuggestions, compareResults, applyOverrides, OVERRIDE_KEYS } from "./analysis.js";
+import { computeAngles, setTilt } from "./angles.js";
+import { PRESETS, DEFAULT_PRESET } from "./presets.js";
+import { StreamRecorder, readStream } from "./stream.js";
+import { SessionVideoRecorder, videoTimeAt, timestampAt, cycleAt, cycleStart } from "./recorder.js";
+import { RiderSimulator, DEFAULT_SIMULATION, renderGroundTruth } from "./simulator.js";
+import { sessionToCsv, sessionToJson, downloadFile, exportBaseName } from "./export.js";
+import { openReport, escapeHtml } from "./report.js";
+import { registerServiceWorker, cacheForOffline } from "./offline.js";
+import { DEFAULT_BACKEND, MODEL_VARIANTS, getBackendAssets, describeBackend } from "./backends.js";
+import { REFERENCES, pointDistance, resolveScale, measureSegments, estimateAdjustments, renderMeasurements, tiltFromPoints, tiltFromOrientation } from "./calibration.js";
+import { DEFAULT_PROFILE_ID, saveSession, listSessions, getSession, updateSession, renameSession, deleteSession, encodeSnapshots, decodeSnapshots, encodeSnapshotSources, decodeSnapshotSources, renderHistoryList } from "./history.js";
 
 // --- Default Ranges ---
-const DEFAULT_RANGES = {
-  knee: [130, 145],
-  hip: [45, 60],
-  torso: [30, 55],
-  elbow: [145, 170],
+const DEFAULT_RANGES = PRESETS[DEFAULT_PRESET].ranges;
+
+// Metrics measured in each camera view
+const VIEW_METRICS = {
+  side: ["knee", "hip", "torso", "elbow", "ankle", "kops", "hipRock"],
+  front: ["trackLeft", "trackRight", "hipRock"],
+};
+
+// Snapshot grid cells for each camera view
+const VIEW_SNAPSHOTS = {
+  side: ["knee", "hip", "torso", "elbow", "ankle", "kops"],
+  front: ["trackLeft", "trackRight"],
 };
 
-const STORAGE_KEY = "openbikefit-ranges";
+// Cells captured with captureSnapshot(), which are drawn only when shown
+const ANGLE_SNAPSHOTS = new Set(["knee", "hip", "torso", "elbow", "ankle"]);
+
+// Rider profiles: id → { name, preset, ranges, body: { heightCm, inseamCm, armCm }, bikeNotes }.
+// ranges is null while the rider uses their preset's ranges unchanged.
+const PROFILES_KEY = "openbikefit-profiles";
+const ACTIVE_PROFILE_KEY = "openbikefit-active-profile";
+// Single-rider settings from before profiles, migrated into the first profile
+const LEGACY_RANGES_KEY = "openbikefit-ranges";
+const LEGACY_PRESET_KEY = "openbikefit-preset";
+
+function loadProfiles() {
+  try {
+    const saved = localStorage.getItem(PROFILES_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch {}
+
+  let ranges = null;
+  try {
+    ranges = JSON.parse(localStorage.getItem(LEGACY_RANGES_KEY));
+  } catch {}
+  return {
+    [DEFAULT_PROFILE_ID]: {
+      name: "Rider 1",
+      preset: localStorage.getItem(LEGACY_PRESET_KEY) || DEFAULT_PRESET,
+      ranges,
+      body: {},
+      bikeNotes: "",
+    },
+  };
+}
+
+function saveProfiles(profiles) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  localStorage.removeItem(LEGACY_RANGES_KEY);
+  localStorage.removeItem(LEGACY_PRESET_KEY);
+}
+
+function loadActiveProfile(profiles) {
+  const id = localStorage.getItem(ACTIVE_PROFILE_KEY);
+  return profiles[id] ? id : Object.keys(profiles)[0];
+}
+
+function saveActiveProfile(id) {
+  localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+}
+
+// The rider's own presets, shared by all profiles: id → { label, base, ranges }
+// where base is the built-in preset whose recommendation texts it uses
+const CUSTOM_PRESETS_KEY = "openbikefit-custom-presets";
+
+function loadCustomPresets() {
+  try {
+    const saved = localStorage.getItem(CUSTOM_PRESETS_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch {}
+  return {};
+}
+
+function saveCustomPresets(presets) {
+  localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+}
+
+const SMOOTHING_KEY = "openbikefit-smoothing";
+
+function loadSmoothing() {
+  try {
+    const saved = localStorage.getItem(SMOOTHING_KEY);
+    if (saved) return { ...DEFAULT_SMOOTHING, debug: false, ...JSON.parse(saved) };
+  } catch {}
+  return { ...DEFAULT_SMOOTHING, debug: false };
+}
+
+function saveSmoothing(settings) {
+  localStorage.setItem(SMOOTHING_KEY, JSON.stringify(settings));
+}
+
+const CADENCE_KEY = "openbikefit-cadence";
+
+function loadCadenceSettings() {
+  try {
+    const saved = localStorage.getItem(CADENCE_KEY);
+    if (saved) return { ...DEFAULT_CADENCE, ...JSON.parse(saved) };
+  } catch {}
+  return { ...DEFAULT_CADENCE };
+}
+
+function saveCadenceSettings(settings) {
+  localStorage.setItem(CADENCE_KEY, JSON.stringify(settings));
+}
 
-function loadRanges() {
+const CALIBRATION_KEY = "openbikefit-calibration";
+
+function loadCalibration() {
   try {
-    const saved = localStorage.getItem(STORAGE_KEY);
+    const saved = localStorage.getItem(CALIBRATION_KEY);
     if (saved) return JSON.parse(saved);
   } catch {}
   return null;
 }
 
-function saveRanges(ranges) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(ranges));
+function saveCalibration(value) {
+  if (value) localStorage.setItem(CALIBRATION_KEY, JSON.stringify(value));
+  else localStorage.removeItem(CALIBRATION_KEY);
+}
+
+const STREAM_KEY = "openbikefit-record-stream";
+
+function loadStreamRecording() {
+  return localStorage.getItem(STREAM_KEY) === "true";
+}
+
+function saveStreamRecording(enabled) {
+  localStorage.setItem(STREAM_KEY, String(enabled));
+}
+
+const CAMERA_KEY = "openbikefit-camera";
+
+function loadCamera() {
+  try {
+    const saved = localStorage.getItem(CAMERA_KEY);
+    if (saved) return { ...DEFAULT_CAMERA, ...JSON.parse(saved) };
+  } catch {}
+  return { ...DEFAULT_CAMERA };
+}
+
+function saveCamera(value) {
+  localStorage.setItem(CAMERA_KEY, JSON.stringify(value));
+}
+
+// Pose backend: { engine, variant, delegate, modelUrl }. modelUrl overrides
+// the variant's download, e.g. a local copy for studios without internet.
+const BACKEND_KEY = "openbikefit-pose-backend";
+
+function loadBackendConfig() {
+  try {
+    const saved = localStorage.getItem(BACKEND_KEY);
+    if (saved) return { ...DEFAULT_BACKEND, ...JSON.parse(saved) };
+  } catch {}
+  return { ...DEFAULT_BACKEND };
+}
+
+function saveBackendConfig(config) {
+  localStorage.setItem(BACKEND_KEY, JSON.stringify(config));
+}
+
+// Per camera setup (the live camera, or a video file by name): { tilt }
+const SETUPS_KEY = "openbikefit-camera-setups";
+
+function loadSetups() {
+  try {
+    const saved = localStorage.getItem(SETUPS_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch {}
+  return {};
+}
+
+function saveSetups(setups) {
+  localStorage.setItem(SETUPS_KEY, JSON.stringify(setups));
 }
 
 // --- State ---
@@ -35,30 +200,71 @@ const State = {
 
 let currentState = State.DETECTING;
 let cameraSide = null;
-let cadenceDetector = new CadenceDetector();
+let cameraView = "side"; // "side" or "front"
+let smoothing = loadSmoothing(); // { enabled, minCutoff, beta, debug }
+// What the analysis pipeline in the pose worker currently runs with
+let pipelineConfig = { smoothing, cadence: loadCadenceSettings(), tilt: 0 };
+let recordStream = loadStreamRecording();
+const streamRecorder = new StreamRecorder();
+const videoRecorder = SessionVideoRecorder.supported ? new SessionVideoRecorder() : null;
+let sessionVideo = null; // { blob, timeline, url } recorded for the session on screen
 let cycleData = [];
-let recordingStartTime = 0;
-let pedalingStopped = false;
-
-// Side detection: accumulate votes over frames
-let sideVotes = { left: 0, right: 0 };
+let completedSession = null; // the analyzed session on screen (live or reopened from history)
+let sessionSaved = Promise.resolve(); // settles once the live session is in history
+let comparisonBaseline = null; // "before" session while the comparison view is active
+let calibration = loadCalibration(); // { reference, lengthMm, points, distance } or null
+let cameraSetup = "camera"; // key into the stored camera setups
+let camera = loadCamera(); // requested device, resolution and frame rate
+let backendConfig = loadBackendConfig();
+let activeBackend = null; // info of the loaded pose backend
+let offlineEnabled = false; // service worker registered
+let serviceWorker = Promise.resolve(false); // registration, see registerServiceWorker()
+let cameraTilt = 0; // level correction of the current camera setup, in degrees
+let customPresets = loadCustomPresets();
+let activePreset = DEFAULT_PRESET; // id into PRESETS or customPresets
+let profiles = loadProfiles();
+let activeProfileId = loadActiveProfile(profiles);
+let simulation = null; // { params, groundTruth } while a simulated rider is the source
 
 // --- Snapshot tracking ---
 const SNAPSHOT_BUFFER_SIZE = 6;
 const SNAPSHOT_REFRESH_MS = 5000;
-const snapshotBuffers = { knee: [], hip: [], torso: [], elbow: [] };
-const currentWindowSnaps = { knee: null, hip: null };
+const snapshotBuffers = { knee: [], hip: [], torso: [], elbow: [], ankle: [], kops: [], trackLeft: [], trackRight: [] };
+const currentWindowSnaps = { knee: null, hip: null, ankle: null, kops: null, trackLeft: null, trackRight: null };
 let bestKneeAngle = 0;
 let bestHipAngle = Infinity;
+let bestAnkleAngle = 0;
+let bestPedalForward = -Infinity;
+let bestTrackLeft = 0;
+let bestTrackRight = 0;
 let snapshotResetTime = 0;
+let snapshotSources = {}; // angle key → correctable snapshot of the session on screen, see captureSnapshot()
+let snapshotGrid = null; // { images, keys } drawn over the video area
 
 // --- DOM refs ---
 const videoEl = document.getElementById("webcam");
 const canvasEl = document.getElementById("overlay");
+const videoContainer = document.querySelector(".video-container");
 const stopBtn = document.getElementById("stopBtn");
 const resetBtn = document.getElementById("resetBtn");
+const fileBtn = document.getElementById("fileBtn");
+const fileInput = document.getElementById("fileInput");
+const cameraBtn = document.getElementById("cameraBtn");
 const statusText = document.getElementById("statusText");
 const statusBanner = document.getElementById("statusBanner");
+const smoothingDebug = document.getElementById("smoothingDebug");
+const streamBtn = document.getElementById("streamBtn");
+const streamRecordToggle = document.getElementById("streamRecordToggle");
+const modelUrlInput = document.getElementById("modelUrl");
+const backendVariant = document.getElementById("backendVariant");
+const backendDelegate = document.getElementById("backendDelegate");
+const backendInUse = document.getElementById("backendInUse");
+const benchmarkBtn = document.getElementById("benchmarkBtn");
+const benchmarkResults = document.getElementById("benchmarkResults");
+const offlineStatus = document.getElementById("offlineStatus");
+const frameStats = document.getElementById("frameStats");
+const playbackSection = document.getElementById("playback");
+const playbackVideo = document.getElementById("playbackVideo");
 
 // Gauge elements
 const gauges = {
@@ -66,8 +272,20 @@ const gauges = {
   hip: document.getElementById("gauge-hip"),
   torso: document.getElementById("gauge-torso"),
   elbow: document.getElementById("gauge-elbow"),
+  ankle: document.getElementById("gauge-ankle"),
+  kops: document.getElementById("gauge-kops"),
+  hipRock: document.getElementById("gauge-hipRock"),
+  trackLeft: document.getElementById("gauge-trackLeft"),
+  trackRight: document.getElementById("gauge-trackRight"),
 };
 
+// Gauges that show the last completed cycle rather than the live frame,
+// because their metric only exists per cycle (e.g. ankle range of motion)
+const CYCLE_GAUGES = new Set(["ankle", "kops", "hipRock"]);
+
+// Display unit per metric; anything not listed is an angle in degrees
+const UNITS = { kops: "%", hipRock: "%", trackLeft: "%", trackRight: "%" };
+
 // Active target ranges (mutable — updated by settings)
 const TARGET_RANGES = Object.fromEntries(
   Object.entries(DEFAULT_RANGES).map(([k, v]) => [k, [...v]])
@@ -93,13 +311,55 @@ function applyRanges(ranges) {
   for (const key of Object.keys(TARGET_RANGES)) {
     TARGET_RANGES[key] = ranges[key];
   }
-  updateChartRanges(ranges);
   updateThresholds(ranges);
+  displayRanges(ranges);
+}
+
+/**
+ * Look up a built-in or custom preset, falling back to the default for ids
+ * that no longer exist (a deleted custom preset).
+ * @returns {Object} { label, ranges, suggestions }
+ */
+function getPreset(id) {
+  if (PRESETS[id]) return PRESETS[id];
+  const custom = customPresets[id];
+  if (custom) return { ...custom, suggestions: PRESETS[custom.base]?.suggestions ?? {} };
+  return PRESETS[DEFAULT_PRESET];
+}
+
+/**
+ * Make a preset active: its recommendation texts, plus the given ranges
+ * (the preset's own unless the rider edited them).
+ */
+function applyPreset(id, ranges) {
+  activePreset = PRESETS[id] || customPresets[id] ? id : DEFAULT_PRESET;
+  updateSuggestions(getPreset(activePreset).suggestions);
+  // Fill in metrics added after the ranges were saved
+  applyRanges({ ...getPreset(activePreset).ranges, ...ranges });
+}
+
+/**
+ * The active preset as recorded with a session. `modified` is set when the
+ * ranges were edited after choosing the preset.
+ */
+function describePreset() {
+  const { label, ranges } = getPreset(activePreset);
+  const modified = Object.keys(ranges).some((key) => ranges[key].some((v, i) => v !== TARGET_RANGES[key][i]));
+  return { id: activePreset, label, modified };
+}
+
+/**
+ * Show ranges on the chart bands and gauge labels without making them active.
+ * Used to display a saved session with the ranges it was analyzed against.
+ */
+function displayRanges(ranges) {
+  updateChartRanges(ranges);
   // Update gauge labels
   for (const [key, [min, max]] of Object.entries(ranges)) {
     const gauge = gauges[key];
     if (!gauge) continue;
-    gauge.querySelector(".gauge__range").textContent = `Target: ${min}\u00B0\u2013${max}\u00B0`;
+    const unit = UNITS[key] || "\u00B0";
+    gauge.querySelector(".gauge__range").textContent = `Target: ${min}${unit}\u2013${max}${unit}`;
   }
 }
 
@@ -129,8 +389,58 @@ const settingsInputs = {
   hip: { min: document.getElementById("range-hip-min"), max: document.getElementById("range-hip-max") },
   torso: { min: document.getElementById("range-torso-min"), max: document.getElementById("range-torso-max") },
   elbow: { min: document.getElementById("range-elbow-min"), max: document.getElementById("range-elbow-max") },
+  ankle: { min: document.getElementById("range-ankle-min"), max: document.getElementById("range-ankle-max") },
+  kops: { min: document.getElementById("range-kops-min"), max: document.getElementById("range-kops-max") },
+  hipRock: { min: document.getElementById("range-hipRock-min"), max: document.getElementById("range-hipRock-max") },
+  trackLeft: { min: document.getElementById("range-trackLeft-min"), max: document.getElementById("range-trackLeft-max") },
+  trackRight: { min: document.getElementById("range-trackRight-min"), max: document.getElementById("range-trackRight-max") },
 };
 
+const presetSelect = document.getElementById("presetSelect");
+const presetNameInput = document.getElementById("presetName");
+const presetDeleteBtn = document.getElementById("presetDelete");
+
+function populatePresetSelect(selected) {
+  const option = (id, label) => `<option value="${id}">${escapeHtml(label)}</option>`;
+  const builtIn = Object.entries(PRESETS).map(([id, p]) => option(id, p.label)).join("");
+  const custom = Object.entries(customPresets).map(([id, p]) => option(id, p.label)).join("");
+  presetSelect.innerHTML = builtIn + (custom ? `<optgroup label="Your presets">${custom}</optgroup>` : "");
+  presetSelect.value = selected;
+  presetDeleteBtn.disabled = !customPresets[selected];
+}
+
+presetSelect.addEventListener("change", () => {
+  populateSettingsInputs(getPreset(presetSelect.value).ranges);
+  presetDeleteBtn.disabled = !customPresets[presetSelect.value];
+});
+
+document.getElementById("presetSaveAs").addEventListener("click", () => {
+  const label = presetNameInput.value.trim();
+  if (!label) {
+    presetNameInput.focus();
+    return;
+  }
+  const id = `custom-${Date.now()}`;
+  const selected = presetSelect.value;
+  customPresets[id] = {
+    label,
+    base: PRESETS[selected] ? selected : customPresets[selected]?.base ?? DEFAULT_PRESET,
+    ranges: readSettingsInputs(),
+  };
+  saveCustomPresets(customPresets);
+  presetNameInput.value = "";
+  populatePresetSelect(id);
+});
+
+presetDeleteBtn.addEventListener("click", () => {
+  const id = presetSelect.value;
+  if (!customPresets[id] || !confirm(`Delete the preset "${customPresets[id].label}"?`)) return;
+  delete customPresets[id];
+  saveCustomPresets(customPresets);
+  populatePresetSelect(DEFAULT_PRESET);
+  populateSettingsInputs(DEFAULT_RANGES);
+});
+
 function populateSettingsInputs(ranges) {
   for (const [key, [min, max]] of Object.entries(ranges)) {
     settingsInputs[key].min.value = min;
@@ -146,8 +456,75 @@ function readSettingsInputs() {
   return ranges;
 }
 
+const smoothingInputs = {
+  enabled: document.getElementById("smoothingEnabled"),
+  minCutoff: document.getElementById("smoothingMinCutoff"),
+  beta: document.getElementById("smoothingBeta"),
+  debug: document.getElementById("smoothingDebugToggle"),
+};
+
+function populateSmoothingInputs(settings) {
+  smoothingInputs.enabled.checked = settings.enabled;
+  smoothingInputs.minCutoff.value = settings.minCutoff;
+  smoothingInputs.beta.value = settings.beta;
+  smoothingInputs.debug.checked = settings.debug;
+}
+
+function readSmoothingInputs() {
+  const number = (input, fallback) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    enabled: smoothingInputs.enabled.checked,
+    minCutoff: number(smoothingInputs.minCutoff, DEFAULT_SMOOTHING.minCutoff) || DEFAULT_SMOOTHING.minCutoff,
+    beta: number(smoothingInputs.beta, DEFAULT_SMOOTHING.beta),
+    debug: smoothingInputs.debug.checked,
+  };
+}
+
+/**
+ * Apply smoothing settings to the filter and show or hide the debug chart.
+ */
+function applySmoothing(settings) {
+  smoothing = settings;
+  configurePipeline({ smoothing: settings });
+  smoothingDebug.hidden = !settings.debug;
+  resetSmoothingDebug();
+}
+
+const cadenceInputs = {
+  minRpm: document.getElementById("cadenceMinRpm"),
+  maxRpm: document.getElementById("cadenceMaxRpm"),
+  stabilityTolerance: document.getElementById("cadenceTolerance"),
+};
+
+function populateCadenceInputs(settings) {
+  cadenceInputs.minRpm.value = settings.minRpm;
+  cadenceInputs.maxRpm.value = settings.maxRpm;
+  cadenceInputs.stabilityTolerance.value = Math.round(settings.stabilityTolerance * 100);
+}
+
+function readCadenceInputs() {
+  const minRpm = parseInt(cadenceInputs.minRpm.value, 10);
+  const maxRpm = parseInt(cadenceInputs.maxRpm.value, 10);
+  const tolerance = parseInt(cadenceInputs.stabilityTolerance.value, 10);
+  const validRpm = minRpm >= 10 && maxRpm > minRpm;
+  return {
+    minRpm: validRpm ? minRpm : DEFAULT_CADENCE.minRpm,
+    maxRpm: validRpm ? maxRpm : DEFAULT_CADENCE.maxRpm,
+    stabilityTolerance: tolerance > 0 ? tolerance / 100 : DEFAULT_CADENCE.stabilityTolerance,
+  };
+}
+
 function openSettings() {
+  populatePresetSelect(activePreset);
   populateSettingsInputs(TARGET_RANGES);
+  populateSmoothingInputs(smoothing);
+  populateCadenceInputs(pipelineConfig.cadence);
+  streamRecordToggle.checked = recordStream;
+  populateBackendInputs(backendConfig);
+  benchmarkResults.hidden = true;
   settingsModal.hidden = false;
 }
 
@@ -163,188 +540,751 @@ settingsModal.addEventListener("click", (e) => {
 
 document.getElementById("settingsSave").addEventListener("click", () => {
   const ranges = readSettingsInputs();
-  saveRanges(ranges);
-  applyRanges(ranges);
+  const profile = profiles[activeProfileId];
+  profile.preset = presetSelect.value;
+  profile.ranges = ranges;
+  saveProfiles(profiles);
+  applyPreset(profile.preset, ranges);
+  const smoothingSettings = readSmoothingInputs();
+  saveSmoothing(smoothingSettings);
+  applySmoothing(smoothingSettings);
+  const cadenceSettings = readCadenceInputs();
+  saveCadenceSettings(cadenceSettings);
+  configurePipeline({ cadence: cadenceSettings });
+  recordStream = streamRecordToggle.checked;
+  saveStreamRecording(recordStream);
+  const config = readBackendInputs();
   closeSettings();
+  // Saving again after a failed model load retries it
+  if (JSON.stringify(config) !== JSON.stringify(backendConfig) || !activeBackend) {
+    backendConfig = config;
+    saveBackendConfig(config);
+    applyBackend(config);
+  }
 });
 
 document.getElementById("settingsReset").addEventListener("click", () => {
+  populatePresetSelect(DEFAULT_PRESET);
   populateSettingsInputs(DEFAULT_RANGES);
+  populateSmoothingInputs({ ...DEFAULT_SMOOTHING, debug: false });
+  populateCadenceInputs(DEFAULT_CADENCE);
+  streamRecordToggle.checked = false;
+  populateBackendInputs(DEFAULT_BACKEND);
 });
 
-// --- Init ---
-async function init() {
-  initCharts();
+// --- Pose backend ---
+function populateBackendInputs(config) {
+  backendVariant.value = config.variant;
+  backendDelegate.value = config.delegate;
+  modelUrlInput.value = config.modelUrl;
+  backendInUse.textContent = activeBackend
+    ? `In use: ${describeBackend(activeBackend)}${activeBackend.fallback ? " — GPU unavailable" : ""}`
+    : "Pose model not loaded";
+}
+
+function readBackendInputs() {
+  return {
+    ...backendConfig,
+    variant: backendVariant.value,
+    delegate: backendDelegate.value,
+    modelUrl: modelUrlInput.value.trim(),
+  };
+}
+
+/**
+ * Stop detection for a backend change or benchmark. Returns a function that
+ * starts a fresh analysis again, unless one had already finished: a recording
+ * in progress is discarded so its cycles don't mix two models.
+ */
+function pauseDetection() {
+  const wasRunning = currentState !== State.COMPLETE;
+  stopDetection();
+  return () => {
+    if (wasRunning) beginDetecting();
+  };
+}
 
-  // Load saved ranges or use defaults, then apply everywhere to stay in sync
-  const saved = loadRanges();
-  applyRanges(saved || DEFAULT_RANGES);
+async function applyBackend(config) {
+  // If the model failed to load at startup, nothing is running yet
+  if (!activeBackend) {
+    await loadFirstBackend(config);
+    return;
+  }
 
+  const resume = pauseDetection();
+  setStatus("Loading pose model...");
+  let error = null;
   try {
-    setStatus("Loading pose model...");
-    await initPose(videoEl, canvasEl);
-    beginDetecting();
+    activeBackend = await setBackend(config);
   } catch (err) {
-    setStatus(`Error: ${err.message}`);
+    // setBackend keeps the previous backend when the new one fails to load
+    error = err;
     console.error(err);
   }
+  resume();
+  if (error) {
+    setStatus(`Could not load the pose model (${error.message}). Still using ${describeBackend(activeBackend)}.`);
+    return;
+  }
+  if (offlineEnabled) updateOfflineCache(config).catch((err) => console.warn(err));
 }
 
-// --- Button handlers ---
-stopBtn.addEventListener("click", () => {
+function renderBenchmark({ results, recommended, targetFps }) {
+  const rows = results.map((r) => {
+    const label = MODEL_VARIANTS[r.variant].label;
+    const speed = r.error ? `failed (${escapeHtml(r.error)})` : `${r.fps} fps · ${r.ms} ms per frame on ${r.delegate}`;
+    const warning = !r.error && !r.detected ? " · no rider found, timing may be optimistic" : "";
+    return `<li>${label}: ${speed}${warning}</li>`;
+  });
+  const advice = recommended
+    ? `Recommended: <strong>${MODEL_VARIANTS[recommended.variant].label}</strong> on ${recommended.delegate} — the most accurate model that keeps up with ${targetFps} fps. It has been selected above; press Save to use it.`
+    : "No model could run on this machine.";
+  benchmarkResults.innerHTML = `<ul class="benchmark__list">${rows.join("")}</ul><p class="benchmark__advice">${advice}</p>`;
+}
+
+benchmarkBtn.addEventListener("click", async () => {
+  benchmarkResults.hidden = false;
   if (currentState === State.RECORDING) {
-    stopSession();
+    benchmarkResults.textContent = "Finish or reset the current recording first.";
+    return;
+  }
+
+  benchmarkBtn.disabled = true;
+  const resume = pauseDetection();
+  try {
+    const benchmark = await runBenchmark(backendDelegate.value, (variant) => {
+      benchmarkResults.textContent = `Testing ${MODEL_VARIANTS[variant].label}…`;
+    });
+    if (!benchmark) {
+      benchmarkResults.textContent = "Start the camera or open a video with the rider in view, then run the benchmark.";
+      return;
+    }
+    renderBenchmark(benchmark);
+    if (benchmark.recommended) {
+      backendVariant.value = benchmark.recommended.variant;
+      backendDelegate.value = benchmark.recommended.delegate;
+    }
+  } catch (err) {
+    benchmarkResults.textContent = `Benchmark failed: ${err.message}`;
+    console.error(err);
+  } finally {
+    benchmarkBtn.disabled = false;
+    resume();
   }
 });
 
-resetBtn.addEventListener("click", resetSession);
+// --- Rider profiles ---
+const profileSelect = document.getElementById("profileSelect");
+const profileModal = document.getElementById("profileModal");
+const profileInputs = {
+  name: document.getElementById("profileName"),
+  preset: document.getElementById("profilePreset"),
+  heightCm: document.getElementById("profileHeight"),
+  inseamCm: document.getElementById("profileInseam"),
+  armCm: document.getElementById("profileArm"),
+  bikeNotes: document.getElementById("profileBikeNotes"),
+};
 
-// --- Auto-detection phase ---
-function beginDetecting() {
-  currentState = State.DETECTING;
-  cameraSide = null;
-  sideVotes = { left: 0, right: 0 };
-  cycleData = [];
-  cadenceDetector.reset();
-  pedalingStopped = false;
-  resetCharts();
-  resetGauges();
-  resetSnapshots();
-  setOverlayVisible(false);
-  stopBtn.hidden = true;
-  resetBtn.hidden = true;
-  document.getElementById("recommendations").hidden = true;
+function populateProfileSelect() {
+  profileSelect.innerHTML = "";
+  for (const [id, profile] of Object.entries(profiles)) {
+    profileSelect.add(new Option(profile.name, id));
+  }
+  profileSelect.value = activeProfileId;
+}
 
-  // Restore video visibility
-  videoEl.hidden = false;
-  canvasEl.getContext("2d").clearRect(0, 0, canvasEl.width, canvasEl.height);
+/**
+ * Make another rider active: their ranges, preset and session history.
+ * A recording in progress belongs to the previous rider, so it is discarded.
+ */
+function switchProfile(id) {
+  activeProfileId = id;
+  saveActiveProfile(id);
+  profileSelect.value = id;
+  applyPreset(profiles[id].preset, profiles[id].ranges);
+  if (currentState === State.RECORDING) resetSession();
+}
 
-  setStatus("Position yourself on the bike and start pedaling...");
+function openProfile() {
+  const profile = profiles[activeProfileId];
+  profileInputs.preset.innerHTML = "";
+  for (const [id, preset] of [...Object.entries(PRESETS), ...Object.entries(customPresets)]) {
+    profileInputs.preset.add(new Option(preset.label, id));
+  }
+  profileInputs.name.value = profile.name;
+  profileInputs.preset.value = activePreset;
+  for (const key of ["heightCm", "inseamCm", "armCm"]) {
+    profileInputs[key].value = profile.body?.[key] ?? "";
+  }
+  profileInputs.bikeNotes.value = profile.bikeNotes || "";
+  document.getElementById("profileDelete").disabled = Object.keys(profiles).length === 1;
+  profileModal.hidden = false;
+}
 
-  // Set up cycle callback — only records data during RECORDING state
-  cadenceDetector.onCycle((summary) => {
-    if (currentState !== State.RECORDING) return;
+function closeProfile() {
+  profileModal.hidden = true;
+}
 
-    cycleData.push(summary);
-    setStatus(`Recording — ${cycleData.length} cycles captured (${summary.rpm} RPM)`, "recording");
+profileSelect.addEventListener("change", () => switchProfile(profileSelect.value));
+document.getElementById("profileBtn").addEventListener("click", openProfile);
+document.getElementById("profileClose").addEventListener("click", closeProfile);
+profileModal.addEventListener("click", (e) => {
+  if (e.target === profileModal) closeProfile();
+});
 
-    addDataPoint("knee", summary.cycleNumber, summary.angles.knee.max);
-    addDataPoint("hip", summary.cycleNumber, summary.angles.hip.min);
-    addDataPoint("torso", summary.cycleNumber, summary.angles.torso.avg);
-    addDataPoint("elbow", summary.cycleNumber, summary.angles.elbow.avg);
+document.getElementById("profileSave").addEventListener("click", () => {
+  const profile = profiles[activeProfileId];
+  const body = {};
+  for (const key of ["heightCm", "inseamCm", "armCm"]) {
+    const value = parseFloat(profileInputs[key].value);
+    if (value > 0) body[key] = value;
+  }
+  const preset = profileInputs.preset.value;
+  // A new discipline brings its own ranges; keep edited ranges otherwise
+  if (preset !== profile.preset) profile.ranges = null;
+  Object.assign(profile, {
+    name: profileInputs.name.value.trim() || profile.name,
+    preset,
+    body,
+    bikeNotes: profileInputs.bikeNotes.value.trim(),
   });
+  saveProfiles(profiles);
+  populateProfileSelect();
+  applyPreset(profile.preset, profile.ranges);
+  closeProfile();
+});
 
-  startDetection(onFrame);
-}
+document.getElementById("profileNew").addEventListener("click", () => {
+  const id = `rider-${Date.now()}`;
+  profiles[id] = {
+    name: `Rider ${Object.keys(profiles).length + 1}`,
+    preset: DEFAULT_PRESET,
+    ranges: null,
+    body: {},
+    bikeNotes: "",
+  };
+  saveProfiles(profiles);
+  populateProfileSelect();
+  switchProfile(id);
+  openProfile();
+  profileInputs.name.select();
+});
 
-function transitionToRecording() {
-  // Lock in the side based on accumulated votes
-  cameraSide = sideVotes.left >= sideVotes.right ? "left" : "right";
-  setSide(cameraSide);
-  setOverlayVisible(true);
+document.getElementById("profileDelete").addEventListener("click", async () => {
+  const ids = Object.keys(profiles);
+  if (ids.length === 1) return;
+  const { name } = profiles[activeProfileId];
+  if (!confirm(`Delete ${name} and all of their saved sessions? This cannot be undone.`)) return;
 
-  currentState = State.RECORDING;
-  recordingStartTime = performance.now();
-  stopBtn.hidden = false;
+  try {
+    for (const session of await listSessions(activeProfileId)) {
+      await deleteSession(session.id);
+    }
+  } catch (err) {
+    // Keep the rider: sessions left without their profile could never be listed again
+    closeProfile();
+    setStatus(`Could not delete ${name}'s saved sessions (${err.message}). The rider was kept.`);
+    console.error(err);
+    return;
+  }
+  if (completedSession?.profileId === activeProfileId) delete completedSession.id;
+  delete profiles[activeProfileId];
+  saveProfiles(profiles);
+  populateProfileSelect();
+  switchProfile(Object.keys(profiles)[0]);
+  closeProfile();
+});
+
+// --- Offline ---
+const OFFLINE_LABELS = {
+  caching: "Saving for offline…",
+  ready: "Offline ready",
+  failed: "Online only",
+};
 
-  setStatus("Recording...", "recording");
+function setOfflineStatus(state, detail = "") {
+  offlineStatus.hidden = false;
+  offlineStatus.textContent = OFFLINE_LABELS[state];
+  offlineStatus.title = detail;
+  offlineStatus.className = `offline-status offline-status--${state}`;
 }
 
-function stopSession() {
-  stopDetection();
-  currentState = State.COMPLETE;
-  stopBtn.hidden = true;
-  resetBtn.hidden = false;
-  finalizeAnalysis();
+async function updateOfflineCache(config) {
+  setOfflineStatus("caching", "Downloading the pose model for use without internet");
+  const { failed } = await cacheForOffline(getBackendAssets(config));
+  if (failed.length) {
+    setOfflineStatus("failed", `Could not save for offline use:\n${failed.map((f) => `${f.url} (${f.error})`).join("\n")}`);
+  } else {
+    setOfflineStatus("ready", "The app and pose model are saved on this device and work without internet");
+  }
 }
 
-function resetSession() {
-  // Stop any running detection before restarting
-  stopDetection();
-  beginDetecting();
+// --- Init ---
+async function init() {
+  serviceWorker = registerServiceWorker();
+  initCharts();
+  initProfileCharts();
+  initSmoothingDebug();
+  applySmoothing(smoothing);
+
+  // Load the rider's preset and ranges, then apply everywhere to stay in sync
+  populateProfileSelect();
+  applyPreset(profiles[activeProfileId].preset, profiles[activeProfileId].ranges);
+
+  await loadFirstBackend(backendConfig);
 }
 
-// --- Frame callback ---
-function onFrame(landmarks, timestamp) {
-  if (currentState === State.DETECTING) {
-    // Accumulate side votes from landmark visibility
-    const side = detectVisibleSide(landmarks);
-    sideVotes[side]++;
-
-    // Feed the more-visible side's knee Y to cadence detector (no angles yet)
-    const knee = getKneeLandmark(landmarks, side);
-    if (knee) {
-      cadenceDetector.addSample(timestamp, knee.y, null);
-
-      // Check if steady pedaling detected (checked here because onCycle
-      // doesn't fire without angle data during the detection phase)
-      if (cadenceDetector.isSteady) {
-        transitionToRecording();
-      }
-    }
+/**
+ * Load the first pose model, then enable video files and start the camera.
+ * On failure the app waits for a working model to be chosen in Settings.
+ */
+async function loadFirstBackend(config) {
+  try {
+    setStatus("Loading pose model...");
+    activeBackend = await initPose(videoEl, canvasEl, config);
+  } catch (err) {
+    const hint = config.modelUrl ? " Check the custom pose model path in Settings." : "";
+    setStatus(`Error: ${err.message}.${hint}`);
+    console.error(err);
     return;
   }
 
-  if (currentState === State.RECORDING) {
-    const angles = computeAngles(landmarks, cameraSide, getAspectRatio());
-    const knee = getKneeLandmark(landmarks, cameraSide);
+  // Cache the model only once it has loaded, so it isn't downloaded twice
+  serviceWorker.then((registered) => {
+    offlineEnabled = registered;
+    if (registered) updateOfflineCache(config).catch((err) => console.warn(err));
+  });
 
-    if (angles) {
-      updateGauges(angles);
-      updateSnapshots(landmarks, angles, timestamp);
-    }
+  fileBtn.disabled = false;
 
-    if (knee && !pedalingStopped) {
-      cadenceDetector.addSample(timestamp, knee.y, angles);
+  // A replay or demo started while the model was loading keeps running
+  if (isFileSource()) return;
 
-      if (cadenceDetector.hasStopped(timestamp)) {
-        pedalingStopped = true;
-        stopSession();
-      }
-    }
+  try {
+    await startCamera();
+  } catch (err) {
+    // Without a camera the app is still useful for pre-recorded footage
+    setStatus(`Camera unavailable (${err.message}). Choose a video file to analyze.`);
+    console.error(err);
   }
 }
 
-// --- Snapshot capture ---
-function resetSnapshots() {
-  for (const key of Object.keys(snapshotBuffers)) {
-    snapshotBuffers[key] = [];
-  }
-  currentWindowSnaps.knee = null;
-  currentWindowSnaps.hip = null;
-  bestKneeAngle = 0;
-  bestHipAngle = Infinity;
-  snapshotResetTime = 0;
-}
+// --- Video source ---
+fileBtn.addEventListener("click", () => fileInput.click());
 
-function pushBuffer(key, canvas) {
-  if (!canvas) return;
-  snapshotBuffers[key].push(canvas);
-  if (snapshotBuffers[key].length > SNAPSHOT_BUFFER_SIZE) {
-    snapshotBuffers[key].shift();
-  }
-}
+fileInput.addEventListener("change", async () => {
+  const file = fileInput.files[0];
+  fileInput.value = "";
+  if (!file) return;
 
-function getSnapshot(key) {
-  const buf = [...snapshotBuffers[key]];
-  if (key === "knee" || key === "hip") {
-    if (currentWindowSnaps[key]) buf.push(currentWindowSnaps[key]);
+  stopDetection();
+  try {
+    setStatus(`Loading ${file.name}...`);
+    await useVideoFile(file);
+    selectSetup(`file:${file.name}`);
+    cameraBtn.hidden = false;
+    beginDetecting();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error(err);
   }
-  if (buf.length === 0) return null;
-  return buf[Math.max(0, buf.length - 3)];
-}
+});
 
-function updateSnapshots(landmarks, angles, timestamp) {
-  if (timestamp - snapshotResetTime > SNAPSHOT_REFRESH_MS) {
+// --- Landmark replay ---
+const replayInput = document.getElementById("replayInput");
+
+document.getElementById("replayBtn").addEventListener("click", () => replayInput.click());
+
+replayInput.addEventListener("change", async () => {
+  const file = replayInput.files[0];
+  replayInput.value = "";
+  if (!file) return;
+
+  try {
+    setStatus(`Loading ${file.name}...`);
+    const stream = await readStream(file);
+    stopDetection();
+    useReplay(stream);
+    useRecordedSettings(stream.settings);
+    cameraBtn.hidden = false;
+    beginDetecting();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error(err);
+  }
+});
+
+/**
+ * Settings that change what the pipeline computes from the same landmarks.
+ * Saved with a landmark stream so its replay reproduces the original analysis.
+ */
+function pipelineSettings() {
+  return { ...pipelineConfig };
+}
+
+/**
+ * Change settings of the analysis pipeline, see AnalysisPipeline.configure().
+ */
+function configurePipeline(changes) {
+  pipelineConfig = { ...pipelineConfig, ...changes };
+  configureAnalysis(changes);
+}
+
+/**
+ * Apply a camera level correction in degrees to the pipeline.
+ */
+function applyTilt(tilt) {
+  cameraTilt = tilt;
+  configurePipeline({ tilt });
+}
+
+/**
+ * Run a replay with the settings it was recorded with. The saved settings
+ * return with the next camera or video file (see selectSetup()).
+ */
+function useRecordedSettings({ smoothing: recorded = smoothing, cadence = loadCadenceSettings(), tilt = 0 } = {}) {
+  configurePipeline({ smoothing: recorded, cadence });
+  simulation = null;
+  cameraSetup = "replay";
+  applyTilt(tilt);
+}
+
+// --- Demo mode ---
+const simulatorModal = document.getElementById("simulatorModal");
+const simulatorInputs = {
+  saddleHeight: document.getElementById("simSaddleHeight"),
+  setback: document.getElementById("simSetback"),
+  reach: document.getElementById("simReach"),
+  cadence: document.getElementById("simCadence"),
+  noise: document.getElementById("simNoise"),
+  dropouts: document.getElementById("simDropouts"),
+  cameraSide: document.getElementById("simCameraSide"),
+};
+let simulatorParams = { ...DEFAULT_SIMULATION };
+
+function openSimulator() {
+  for (const [key, input] of Object.entries(simulatorInputs)) {
+    input.value = simulatorParams[key];
+  }
+  simulatorModal.hidden = false;
+}
+
+function closeSimulator() {
+  simulatorModal.hidden = true;
+}
+
+function readSimulatorInputs() {
+  const params = { ...DEFAULT_SIMULATION, cameraSide: simulatorInputs.cameraSide.value };
+  for (const [key, input] of Object.entries(simulatorInputs)) {
+    if (key === "cameraSide") continue;
+    const value = parseFloat(input.value);
+    if (Number.isFinite(value) && value >= 0) params[key] = value;
+  }
+  return params;
+}
+
+document.getElementById("demoBtn").addEventListener("click", openSimulator);
+document.getElementById("simulatorClose").addEventListener("click", closeSimulator);
+simulatorModal.addEventListener("click", (e) => {
+  if (e.target === simulatorModal) closeSimulator();
+});
+
+document.getElementById("simulatorReset").addEventListener("click", () => {
+  simulatorParams = { ...DEFAULT_SIMULATION };
+  openSimulator();
+});
+
+document.getElementById("simulatorStart").addEventListener("click", () => {
+  simulatorParams = readSimulatorInputs();
+  // A new seed each run, so repeated demos aren't identical
+  const sim = new RiderSimulator({ ...simulatorParams, seed: Date.now() });
+  stopDetection();
+  useSimulator(sim);
+  selectSetup("simulator");
+  simulation = { params: sim.params, groundTruth: sim.groundTruth() };
+  cameraBtn.hidden = false;
+  closeSimulator();
+  beginDetecting();
+});
+
+streamBtn.addEventListener("click", async () => {
+  try {
+    const blob = await streamRecorder.toBlob();
+    const ext = blob.type === "application/gzip" ? "json.gz" : "json";
+    downloadFile(`${exportBaseName(streamRecorder.meta)}.landmarks.${ext}`, blob, blob.type);
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error(err);
+  }
+});
+
+/**
+ * (Re)start the live camera with the chosen settings. The camera setup key
+ * follows the device, so each camera keeps its own level correction.
+ */
+async function startCamera() {
+  stopDetection();
+  await useCamera(camera);
+  selectSetup(camera.deviceId ? `camera:${camera.deviceId}` : "camera");
+  cameraBtn.hidden = true;
+  beginDetecting();
+}
+
+cameraBtn.addEventListener("click", async () => {
+  try {
+    await startCamera();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error(err);
+  }
+});
+
+// --- Button handlers ---
+stopBtn.addEventListener("click", () => {
+  if (currentState === State.RECORDING) {
+    stopSession();
+  }
+});
+
+resetBtn.addEventListener("click", resetSession);
+
+// --- Auto-detection phase ---
+function beginDetecting() {
+  currentState = State.DETECTING;
+  cameraSide = null;
+  cameraView = "side";
+  applyViewLayout(cameraView);
+  cycleData = [];
+  streamRecorder.start({
+    source: cameraSetup,
+    aspectRatio: getAspectRatio(),
+    width: canvasEl.width,
+    height: canvasEl.height,
+    settings: pipelineSettings(),
+    backend: getBackendInfo(),
+  });
+  streamBtn.hidden = true;
+  videoRecorder?.discard();
+  setVideoRecorder(null);
+  clearSessionVideo();
+  resetSmoothingDebug();
+  completedSession = null;
+  endComparison();
+  displayRanges(TARGET_RANGES);
+  resetCharts();
+  resetProfiles();
+  document.getElementById("profiles").hidden = true;
+  renderGroundTruth([], null);
+  resetGauges();
+  resetSnapshots();
+  snapshotSources = {};
+  snapshotGrid = null;
+  videoContainer.classList.remove("video-container--editable");
+  videoContainer.title = "";
+  setOverlayVisible(false);
+  stopBtn.hidden = true;
+  resetBtn.hidden = true;
+  document.getElementById("recommendations").hidden = true;
+
+  // Restore video visibility
+  videoEl.hidden = false;
+  canvasEl.getContext("2d").clearRect(0, 0, canvasEl.width, canvasEl.height);
+
+  setStatus(isFileSource()
+    ? "Scanning video for steady pedaling..."
+    : "Position yourself on the bike and start pedaling...");
+
+  startDetection(onFrame, onSourceEnded);
+}
+
+/**
+ * Record a pedal cycle completed by the pipeline.
+ */
+function addCycle(summary) {
+  cycleData.push(summary);
+  const progress = isFileSource() ? ` — ${Math.round(getFileProgress() * 100)}% of video` : "";
+  setStatus(`Recording — ${cycleData.length} cycles captured (${summary.rpm} RPM)${progress}`, "recording");
+
+  addCycleData(summary);
+
+  if (summary.angles.ankle) setGauge("ankle", summary.angles.ankle.range);
+  if (summary.angles.kops) setGauge("kops", summary.angles.kops.ratio);
+  if (summary.angles.hipRock) setGauge("hipRock", summary.angles.hipRock.amplitude);
+}
+
+/**
+ * Called when a video file has been fully processed, or with an error when a
+ * replay or simulation ended early.
+ */
+function onSourceEnded(error = null) {
+  if (currentState === State.RECORDING) {
+    stopSession();
+    if (error) setStatus(`Analysis stopped early (${error.message}). Results cover the cycles before that frame.`, "complete");
+    return;
+  }
+  if (currentState === State.DETECTING) {
+    currentState = State.COMPLETE;
+    resetBtn.hidden = false;
+    setStatus(error ? `Could not analyze this source (${error.message}).` : "No steady pedaling found in this video.");
+  }
+}
+
+/**
+ * The pipeline found steady pedaling and locked in the side and view.
+ */
+function transitionToRecording({ side, view }) {
+  cameraSide = side;
+  cameraView = view;
+  setSide(cameraView === "front" ? "front" : cameraSide);
+  setOverlayVisible(true);
+  applyViewLayout(cameraView);
+
+  currentState = State.RECORDING;
+  stopBtn.hidden = false;
+  if (videoRecorder) {
+    videoRecorder.start(canvasEl.width, canvasEl.height);
+    setVideoRecorder(videoRecorder);
+  }
+
+  setStatus(cameraView === "front" ? "Recording (front view)..." : "Recording...", "recording");
+}
+
+/**
+ * Show only the gauges and charts that belong to the given camera view.
+ */
+function applyViewLayout(view) {
+  for (const el of document.querySelectorAll("[data-view]")) {
+    el.hidden = el.dataset.view !== view;
+  }
+}
+
+function stopSession() {
+  stopDetection();
+  frameStats.hidden = true;
+  currentState = State.COMPLETE;
+  stopBtn.hidden = true;
+  resetBtn.hidden = false;
+  setVideoRecorder(null);
+  const recording = videoRecorder?.stop() ?? Promise.resolve(null);
+  finalizeAnalysis();
+
+  // The recording is finalized asynchronously; drop it if the session was reset meanwhile
+  const session = completedSession;
+  recording.then((video) => {
+    if (video && session && completedSession === session) showSessionVideo(video);
+  });
+}
+
+function resetSession() {
+  // Stop any running detection before restarting
+  stopDetection();
+  beginDetecting();
+}
+
+// Share of camera frames skipped because the worker was busy, above which
+// pedal-stroke sampling gets coarse enough to warn about
+const DROPPED_FRAMES_WARNING = 0.2;
+
+onFrameStats(({ sourceFps, analyzedFps, inferenceMs, dropped, total }) => {
+  const parts = [];
+  if (sourceFps !== null) parts.push(`Camera ${Math.round(sourceFps)} fps`);
+  parts.push(`analyzed ${Math.round(analyzedFps)} fps`);
+  if (inferenceMs !== null) parts.push(`inference ${Math.round(inferenceMs)} ms`);
+  const dropRate = total ? dropped / total : 0;
+  if (sourceFps !== null) parts.push(`${dropped} of ${total} frames dropped (${Math.round(dropRate * 100)}%)`);
+  frameStats.textContent = parts.join(" · ");
+  frameStats.classList.toggle("frame-stats--warning", dropRate > DROPPED_FRAMES_WARNING);
+  frameStats.hidden = false;
+});
+
+// --- Frame callback ---
+/**
+ * Render one analyzed frame from the pose worker, see AnalysisPipeline.process().
+ */
+function onFrame(result) {
+  const { raw, landmarks, timestamp, measurement } = result;
+  if (recordStream) {
+    streamRecorder.add(raw, timestamp);
+    if (streamBtn.hidden && streamRecorder.frameCount > 0) streamBtn.hidden = false;
+  }
+
+  if (result.started) transitionToRecording(result.started);
+
+  if (currentState === State.DETECTING) {
+    if (isFileSource()) {
+      setStatus(`Scanning video for steady pedaling... ${Math.round(getFileProgress() * 100)}%`);
+    }
+    return;
+  }
+  if (currentState !== State.RECORDING || result.started) return;
+
+  if (measurement) {
+    updateGauges(measurement);
+    if (cameraView === "front") updateTrackingSnapshots(landmarks, measurement, timestamp);
+    else updateSnapshots(landmarks, measurement, measurement.setback, timestamp);
+  }
+  if (result.debug && !smoothingDebug.hidden) {
+    addSmoothingSample(timestamp, result.debug.raw, result.debug.filtered, result.debug.label);
+  }
+
+  for (const summary of result.cycles) addCycle(summary);
+  if (result.stopped) stopSession();
+}
+
+// --- Snapshot capture ---
+function resetSnapshots() {
+  for (const key of Object.keys(snapshotBuffers)) {
+    snapshotBuffers[key] = [];
+  }
+  currentWindowSnaps.knee = null;
+  currentWindowSnaps.hip = null;
+  currentWindowSnaps.ankle = null;
+  currentWindowSnaps.kops = null;
+  currentWindowSnaps.trackLeft = null;
+  currentWindowSnaps.trackRight = null;
+  bestKneeAngle = 0;
+  bestHipAngle = Infinity;
+  bestAnkleAngle = 0;
+  bestPedalForward = -Infinity;
+  bestTrackLeft = 0;
+  bestTrackRight = 0;
+  snapshotResetTime = 0;
+}
+
+function pushBuffer(key, canvas) {
+  if (!canvas) return;
+  snapshotBuffers[key].push(canvas);
+  if (snapshotBuffers[key].length > SNAPSHOT_BUFFER_SIZE) {
+    snapshotBuffers[key].shift();
+  }
+}
+
+function getSnapshot(key) {
+  const buf = [...snapshotBuffers[key]];
+  if (key in currentWindowSnaps) {
+    if (currentWindowSnaps[key]) buf.push(currentWindowSnaps[key]);
+  }
+  if (buf.length === 0) return null;
+  return buf[Math.max(0, buf.length - 3)];
+}
+
+function updateSnapshots(landmarks, angles, setback, timestamp) {
+  if (timestamp - snapshotResetTime > SNAPSHOT_REFRESH_MS) {
     pushBuffer("knee", currentWindowSnaps.knee);
     pushBuffer("hip", currentWindowSnaps.hip);
+    pushBuffer("ankle", currentWindowSnaps.ankle);
+    pushBuffer("kops", currentWindowSnaps.kops);
     pushBuffer("torso", captureSnapshot(landmarks, cameraSide, "Torso", "torso", angles.torso, getAngleColor("torso", angles.torso)));
     pushBuffer("elbow", captureSnapshot(landmarks, cameraSide, "Elbow", "elbow", angles.elbow, getAngleColor("elbow", angles.elbow)));
 
     currentWindowSnaps.knee = null;
     currentWindowSnaps.hip = null;
+    currentWindowSnaps.ankle = null;
+    currentWindowSnaps.kops = null;
     bestKneeAngle = 0;
     bestHipAngle = Infinity;
+    bestAnkleAngle = 0;
+    bestPedalForward = -Infinity;
     snapshotResetTime = timestamp;
   }
 
@@ -357,30 +1297,82 @@ function updateSnapshots(landmarks, angles, timestamp) {
     bestHipAngle = angles.hip;
     currentWindowSnaps.hip = captureSnapshot(landmarks, cameraSide, "Hip (at TDC)", "hip", angles.hip, getAngleColor("hip", angles.hip));
   }
+
+  // Ankle: capture the most plantarflexed (toe-down) moment, typically near BDC
+  if (angles.ankle !== null && angles.ankle > bestAnkleAngle) {
+    bestAnkleAngle = angles.ankle;
+    currentWindowSnaps.ankle = captureSnapshot(landmarks, cameraSide, "Ankle", "ankle", angles.ankle);
+  }
+
+  // KOPS: capture at 3 o'clock, where the pedal is furthest forward
+  if (setback && setback.pedalForward > bestPedalForward) {
+    bestPedalForward = setback.pedalForward;
+    const ratio = (setback.offset / setback.thighLength) * 100;
+    currentWindowSnaps.kops = captureSetbackSnapshot(setback, "Knee over pedal (3 o'clock)", ratio, getAngleColor("kops", ratio));
+  }
+}
+
+/**
+ * Front view: per leg, keep the frame where the knee strays furthest from the
+ * hip–ankle line in the current window.
+ */
+function updateTrackingSnapshots(landmarks, tracking, timestamp) {
+  if (timestamp - snapshotResetTime > SNAPSHOT_REFRESH_MS) {
+    pushBuffer("trackLeft", currentWindowSnaps.trackLeft);
+    pushBuffer("trackRight", currentWindowSnaps.trackRight);
+    currentWindowSnaps.trackLeft = null;
+    currentWindowSnaps.trackRight = null;
+    bestTrackLeft = 0;
+    bestTrackRight = 0;
+    snapshotResetTime = timestamp;
+  }
+
+  if (Math.abs(tracking.trackLeft) >= bestTrackLeft) {
+    bestTrackLeft = Math.abs(tracking.trackLeft);
+    currentWindowSnaps.trackLeft = captureTrackingSnapshot(landmarks, "left", "Left knee", tracking.trackLeft, getAngleColor("trackLeft", tracking.trackLeft));
+  }
+
+  if (Math.abs(tracking.trackRight) >= bestTrackRight) {
+    bestTrackRight = Math.abs(tracking.trackRight);
+    currentWindowSnaps.trackRight = captureTrackingSnapshot(landmarks, "right", "Right knee", tracking.trackRight, getAngleColor("trackRight", tracking.trackRight));
+  }
+}
+
+/**
+ * The snapshots to show for the session: drawn images for the grid, and the
+ * unrendered ones whose landmarks can be corrected.
+ * @returns {Object} { images: angle key → canvas (or null), sources: angle key → snapshot }
+ */
+function collectSnapshots() {
+  const images = {};
+  const sources = {};
+  for (const key of VIEW_SNAPSHOTS[cameraView]) {
+    const snap = getSnapshot(key);
+    images[key] = snap && ANGLE_SNAPSHOTS.has(key) ? renderSnapshot(snap) : snap;
+    if (snap && OVERRIDE_KEYS.includes(key)) sources[key] = snap;
+  }
+  return { images, sources };
 }
 
-function showSnapshotGrid() {
-  const w = canvasEl.width;
-  const h = canvasEl.height;
+/**
+ * Draw the snapshot grid over the video area.
+ * @param {Object} snapshots - angle key → canvas or ImageBitmap (or null)
+ * @param {Array} keys - cells to draw, in order
+ */
+function showSnapshotGrid(snapshots, keys = VIEW_SNAPSHOTS[cameraView]) {
   const ctx = canvasEl.getContext("2d");
 
+  snapshotGrid = { images: snapshots, keys };
+  const editable = Object.keys(snapshotSources).length > 0;
+  videoContainer.classList.toggle("video-container--editable", editable);
+  videoContainer.title = editable ? "Click a snapshot to correct its landmarks" : "";
   videoEl.hidden = true;
   ctx.fillStyle = "#0f172a";
-  ctx.fillRect(0, 0, w, h);
+  ctx.fillRect(0, 0, canvasEl.width, canvasEl.height);
 
-  const gap = 4;
-  const cellW = (w - gap) / 2;
-  const cellH = (h - gap) / 2;
-
-  const cells = [
-    { key: "knee", x: 0, y: 0 },
-    { key: "hip", x: cellW + gap, y: 0 },
-    { key: "torso", x: 0, y: cellH + gap },
-    { key: "elbow", x: cellW + gap, y: cellH + gap },
-  ];
-
-  for (const { key, x, y } of cells) {
-    const snap = getSnapshot(key);
+  for (const [i, key] of keys.entries()) {
+    const { x, y, cellW, cellH } = snapshotCell(i, keys.length);
+    const snap = snapshots[key];
     if (snap) {
       ctx.drawImage(snap, 0, 0, snap.width, snap.height, x, y, cellW, cellH);
     } else {
@@ -390,24 +1382,43 @@ function showSnapshotGrid() {
   }
 }
 
+/**
+ * Position of the i-th of count cells in the snapshot grid, in canvas pixels.
+ * 2 columns for up to four cells, 3 beyond that.
+ */
+function snapshotCell(i, count) {
+  const cols = count > 4 ? 3 : 2;
+  const rows = Math.ceil(count / cols);
+
+  const gap = 4;
+  const cellW = (canvasEl.width - gap * (cols - 1)) / cols;
+  const cellH = (canvasEl.height - gap * (rows - 1)) / rows;
+  return { x: (i % cols) * (cellW + gap), y: Math.floor(i / cols) * (cellH + gap), cellW, cellH };
+}
+
 // --- Gauge updates ---
 function updateGauges(angles) {
   for (const [key, value] of Object.entries(angles)) {
-    const gauge = gauges[key];
-    if (!gauge) continue;
+    if (CYCLE_GAUGES.has(key) || value === null) continue;
+    setGauge(key, value);
+  }
+}
 
-    const valueEl = gauge.querySelector(".gauge__value");
-    valueEl.textContent = `${Math.round(value)}°`;
+function setGauge(key, value) {
+  const gauge = gauges[key];
+  if (!gauge) return;
 
-    const [tMin, tMax] = TARGET_RANGES[key];
-    gauge.classList.remove("gauge--green", "gauge--yellow", "gauge--red");
-    if (value >= tMin && value <= tMax) {
-      gauge.classList.add("gauge--green");
-    } else if (value >= tMin - 10 && value <= tMax + 10) {
-      gauge.classList.add("gauge--yellow");
-    } else {
-      gauge.classList.add("gauge--red");
-    }
+  const valueEl = gauge.querySelector(".gauge__value");
+  valueEl.textContent = `${Math.round(value)}${UNITS[key] || "°"}`;
+
+  const [tMin, tMax] = TARGET_RANGES[key];
+  gauge.classList.remove("gauge--green", "gauge--yellow", "gauge--red");
+  if (value >= tMin && value <= tMax) {
+    gauge.classList.add("gauge--green");
+  } else if (value >= tMin - 10 && value <= tMax + 10) {
+    gauge.classList.add("gauge--yellow");
+  } else {
+    gauge.classList.add("gauge--red");
   }
 }
 
@@ -417,7 +1428,7 @@ function updateGaugesFromAnalysis(results) {
     if (!gauge) continue;
 
     const valueEl = gauge.querySelector(".gauge__value");
-    valueEl.textContent = `${rec.avg}°`;
+    valueEl.textContent = `${rec.avg}${rec.unit || "°"}`;
 
     gauge.classList.remove("gauge--green", "gauge--yellow", "gauge--red");
     gauge.classList.add(`gauge--${rec.status}`);
@@ -425,8 +1436,8 @@ function updateGaugesFromAnalysis(results) {
 }
 
 function resetGauges() {
-  for (const gauge of Object.values(gauges)) {
-    gauge.querySelector(".gauge__value").textContent = "--°";
+  for (const [key, gauge] of Object.entries(gauges)) {
+    gauge.querySelector(".gauge__value").textContent = `--${UNITS[key] || "°"}`;
     gauge.classList.remove("gauge--green", "gauge--yellow", "gauge--red");
   }
 }
@@ -452,17 +1463,981 @@ function finalizeAnalysis() {
   }
 
   const results = analyzeSession(cycleData);
+  const createdAt = Date.now();
+  completedSession = {
+    name: new Date(createdAt).toLocaleString(),
+    createdAt,
+    view: cameraView,
+    cameraSide,
+    profileId: activeProfileId,
+    rider: profiles[activeProfileId].name,
+    preset: describePreset(),
+    ranges: structuredClone(TARGET_RANGES),
+    tilt: cameraTilt,
+    smoothing: pipelineConfig.smoothing,
+    backend: getBackendInfo(),
+    simulation,
+    cycles: cycleData,
+    results,
+  };
+  measureSession(completedSession);
+
   renderRecommendations(results);
+  renderMeasurements(completedSession.measurements);
+  renderGroundTruth(results, simulation?.groundTruth ?? null);
+  showProfiles(cycleData);
   updateGaugesFromAnalysis(results);
-  showSnapshotGrid();
+
+  const { images, sources } = collectSnapshots();
+  snapshotSources = sources;
+  showSnapshotGrid(images);
 
   setStatus("Analysis complete", "complete");
+  sessionSaved = storeSession(completedSession, images, sources);
 
   setTimeout(() => {
     document.getElementById("recommendations").scrollIntoView({ behavior: "smooth", block: "start" });
   }, 100);
 }
 
+/**
+ * Draw the stroke profiles, hiding the section for sessions saved without
+ * per-frame cycle data.
+ */
+function showProfiles(cycles) {
+  document.getElementById("profiles").hidden = !renderProfiles(cycles);
+}
+
+// --- Session video ---
+/**
+ * Offer the recorded video of the session on screen, linked to the charts:
+ * clicking a cycle seeks the video, and playing or scrubbing marks the cycle
+ * on screen.
+ */
+function showSessionVideo({ blob, timeline }) {
+  clearSessionVideo();
+  sessionVideo = { blob, timeline, url: URL.createObjectURL(blob) };
+  playbackVideo.src = sessionVideo.url;
+  playbackSection.hidden = false;
+  onCycleSelect(seekToCycle);
+}
+
+function clearSessionVideo() {
+  if (!sessionVideo) return;
+  playbackVideo.removeAttribute("src");
+  playbackVideo.load();
+  URL.revokeObjectURL(sessionVideo.url);
+  sessionVideo = null;
+  playbackSection.hidden = true;
+  onCycleSelect(null);
+  highlightCycle(null);
+}
+
+function seekToCycle(cycleNumber) {
+  const index = cycleData.findIndex((c) => c.cycleNumber === cycleNumber);
+  if (!sessionVideo || index === -1) return;
+  playbackVideo.currentTime = videoTimeAt(sessionVideo.timeline, cycleStart(cycleData, index));
+  highlightCycle(cycleNumber);
+  playbackSection.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+function highlightPlaybackCycle() {
+  if (!sessionVideo) return;
+  const cycle = cycleAt(cycleData, timestampAt(sessionVideo.timeline, playbackVideo.currentTime));
+  highlightCycle(cycle?.cycleNumber ?? null);
+}
+
+playbackVideo.addEventListener("timeupdate", highlightPlaybackCycle);
+playbackVideo.addEventListener("seeked", highlightPlaybackCycle);
+
+// MediaRecorder doesn't write the duration into the WebM header, which leaves
+// the video unseekable. Seeking far past the end makes the browser scan for it.
+playbackVideo.addEventListener("loadedmetadata", () => {
+  if (playbackVideo.duration !== Infinity) return;
+  playbackVideo.addEventListener("durationchange", () => {
+    playbackVideo.currentTime = 0;
+  }, { once: true });
+  playbackVideo.currentTime = Number.MAX_SAFE_INTEGER;
+});
+
+document.getElementById("videoDownloadBtn").addEventListener("click", () => {
+  if (sessionVideo && completedSession) downloadFile(`${exportBaseName(completedSession)}.webm`, sessionVideo.blob, "video/webm");
+});
+
+// --- Snapshot correction ---
+const correctionModal = document.getElementById("correctionModal");
+const correctionCanvas = document.getElementById("correctionCanvas");
+const correctionHint = document.getElementById("correctionHint");
+
+// How close to a joint, in CSS pixels, a press has to land to pick it up
+const JOINT_GRAB_PX = 24;
+
+let correctionKey = null; // angle key of the snapshot being corrected
+let correctionJoints = null; // joint name → { x, y } as currently placed
+let draggedJoint = null;
+let correctionDrawPending = false;
+
+/**
+ * A snapshot with its joints moved and the angle recomputed from them, the
+ * same way the pipeline measures it.
+ */
+function correctSnapshot(key, joints) {
+  const source = snapshotSources[key];
+  const landmarks = moveSnapshotJoints(source.landmarks, source.side, joints);
+  // The main thread's angles.js only serves corrections, so its tilt can follow the session on screen
+  setTilt(completedSession.tilt ?? 0);
+  const angles = computeAngles(landmarks, source.side, source.frame.width / source.frame.height);
+  const value = angles ? Math.round(angles[key] * 10) / 10 : null;
+  return {
+    ...source,
+    landmarks,
+    label: `${source.label} (manual)`,
+    angleValue: value,
+    color: value === null ? source.color : getAngleColor(key, value),
+  };
+}
+
+function setCorrectionHint(text, isError = false) {
+  correctionHint.textContent = text;
+  correctionHint.classList.toggle("calibration-note--error", isError);
+}
+
+function drawCorrection() {
+  correctionDrawPending = false;
+  if (!correctionKey) return;
+  const snapshot = correctSnapshot(correctionKey, correctionJoints);
+  const image = renderSnapshot(snapshot);
+  const w = (correctionCanvas.width = image.width);
+  const h = (correctionCanvas.height = image.height);
+  const ctx = correctionCanvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+
+  ctx.lineWidth = Math.max(2, w / 480);
+  for (const [name, p] of Object.entries(correctionJoints)) {
+    ctx.strokeStyle = name === draggedJoint ? "#fbbf24" : "#ffffff";
+    ctx.beginPath();
+    ctx.arc(p.x * w, p.y * h, Math.max(8, w / 100), 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+
+  const measured = Math.round(snapshotSources[correctionKey].angleValue);
+  if (snapshot.angleValue === null) {
+    setCorrectionHint("The angle can't be computed from these points.", true);
+  } else {
+    setCorrectionHint(`${snapshotSources[correctionKey].label}: ${snapshot.angleValue}° (measured ${measured}°). Drag a misplaced joint to where it really is.`);
+  }
+}
+
+function scheduleCorrectionDraw() {
+  if (correctionDrawPending) return;
+  correctionDrawPending = true;
+  requestAnimationFrame(drawCorrection);
+}
+
+/**
+ * Position of a pointer event on the correction canvas, in normalized image coords.
+ */
+function correctionPoint(e) {
+  const rect = correctionCanvas.getBoundingClientRect();
+  return {
+    x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+    y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    rect,
+  };
+}
+
+function jointAt(e) {
+  const { x, y, rect } = correctionPoint(e);
+  let nearest = null;
+  let nearestDist = JOINT_GRAB_PX;
+  for (const [name, p] of Object.entries(correctionJoints)) {
+    const dist = Math.hypot((p.x - x) * rect.width, (p.y - y) * rect.height);
+    if (dist < nearestDist) {
+      nearest = name;
+      nearestDist = dist;
+    }
+  }
+  return nearest;
+}
+
+function openCorrection(key) {
+  const source = snapshotSources[key];
+  correctionKey = key;
+  correctionJoints = structuredClone(completedSession.corrections?.[key]?.joints ?? getSnapshotJoints(source.landmarks, source.side));
+  draggedJoint = null;
+  document.getElementById("correctionRemove").hidden = !completedSession.corrections?.[key];
+  correctionModal.hidden = false;
+  drawCorrection();
+}
+
+function closeCorrection() {
+  correctionModal.hidden = true;
+  correctionKey = null;
+  correctionJoints = null;
+  draggedJoint = null;
+}
+
+/**
+ * Store (or with null, remove) a landmark correction on the session on
+ * screen, and redraw the cards, gauges and snapshot that depend on it.
+ * @param {string} key - angle key
+ * @param {Object|null} correction - { joints, value }
+ */
+async function applyCorrection(key, correction) {
+  const session = completedSession;
+  endComparison();
+  const corrections = { ...session.corrections };
+  if (correction) corrections[key] = correction;
+  else delete corrections[key];
+  session.corrections = corrections;
+
+  applyOverrides(session.results, corrections, getPreset(session.preset?.id).suggestions);
+  estimateSessionAdjustments(session);
+  renderRecommendations(session.results);
+  updateGaugesFromAnalysis(session.results);
+
+  const image = renderSnapshot(correction ? correctSnapshot(key, correction.joints) : snapshotSources[key]);
+  showSnapshotGrid({ ...snapshotGrid.images, [key]: image }, snapshotGrid.keys);
+
+  // A session that just finished may still be on its way into history
+  await sessionSaved;
+  if (session.id === undefined) return;
+  try {
+    const stored = await getSession(session.id);
+    const snapshots = { ...stored.snapshots, ...(await encodeSnapshots({ [key]: image })) };
+    await updateSession(session.id, { corrections, results: session.results, snapshots });
+  } catch (err) {
+    console.error("Failed to save correction", err);
+  }
+}
+
+videoContainer.addEventListener("click", (e) => {
+  if (!snapshotGrid || !completedSession) return;
+  // The canvas is letterboxed within its box (object-fit: contain)
+  const rect = canvasEl.getBoundingClientRect();
+  const scale = Math.min(rect.width / canvasEl.width, rect.height / canvasEl.height);
+  const x = (e.clientX - rect.left - (rect.width - canvasEl.width * scale) / 2) / scale;
+  const y = (e.clientY - rect.top - (rect.height - canvasEl.height * scale) / 2) / scale;
+
+  const { keys } = snapshotGrid;
+  const key = keys.find((_, i) => {
+    const cell = snapshotCell(i, keys.length);
+    return x >= cell.x && x < cell.x + cell.cellW && y >= cell.y && y < cell.y + cell.cellH;
+  });
+  if (key && snapshotSources[key]) openCorrection(key);
+});
+
+correctionCanvas.addEventListener("pointerdown", (e) => {
+  draggedJoint = jointAt(e);
+  if (!draggedJoint) return;
+  correctionCanvas.setPointerCapture(e.pointerId);
+  correctionCanvas.classList.add("correction-canvas--dragging");
+  scheduleCorrectionDraw();
+});
+
+correctionCanvas.addEventListener("pointermove", (e) => {
+  if (!draggedJoint) return;
+  const { x, y } = correctionPoint(e);
+  correctionJoints[draggedJoint] = { x, y };
+  scheduleCorrectionDraw();
+});
+
+for (const type of ["pointerup", "pointercancel"]) {
+  correctionCanvas.addEventListener(type, () => {
+    if (!draggedJoint) return;
+    draggedJoint = null;
+    correctionCanvas.classList.remove("correction-canvas--dragging");
+    scheduleCorrectionDraw();
+  });
+}
+
+document.getElementById("correctionSave").addEventListener("click", () => {
+  const { angleValue } = correctSnapshot(correctionKey, correctionJoints);
+  if (angleValue === null) return;
+  applyCorrection(correctionKey, { joints: correctionJoints, value: angleValue });
+  closeCorrection();
+});
+
+document.getElementById("correctionRemove").addEventListener("click", () => {
+  applyCorrection(correctionKey, null);
+  closeCorrection();
+});
+
+document.getElementById("correctionClose").addEventListener("click", closeCorrection);
+correctionModal.addEventListener("click", (e) => {
+  if (e.target === correctionModal) closeCorrection();
+});
+
+// --- Session history ---
+const historyModal = document.getElementById("historyModal");
+
+/**
+ * Save the just-finished session to IndexedDB.
+ */
+async function storeSession(session, snapshots, sources) {
+  try {
+    session.id = await saveSession({
+      ...session,
+      snapshots: await encodeSnapshots(snapshots),
+      snapshotSources: await encodeSnapshotSources(sources),
+    });
+    if (currentState === State.COMPLETE) setStatus("Analysis complete — saved to history", "complete");
+  } catch (err) {
+    console.error("Failed to save session", err);
+  }
+}
+
+/**
+ * Replace the dashboard with a stored session's charts, cards and snapshots.
+ */
+async function openSession(id) {
+  const session = await getSession(id);
+  if (!session) return;
+
+  stopDetection();
+  videoRecorder?.discard();
+  setVideoRecorder(null);
+  clearSessionVideo();
+  currentState = State.COMPLETE;
+  stopBtn.hidden = true;
+  resetBtn.hidden = false;
+  cameraSide = session.cameraSide;
+  cameraView = session.view || "side";
+  applyViewLayout(cameraView);
+  cycleData = session.cycles;
+  completedSession = session;
+  endComparison();
+
+  displayRanges(session.ranges);
+  rebuildCharts(session.cycles);
+  renderRecommendations(session.results);
+  renderMeasurements(session.measurements);
+  renderGroundTruth(session.results, session.simulation?.groundTruth ?? null);
+  showProfiles(session.cycles);
+  updateGaugesFromAnalysis(session.results);
+  snapshotSources = await decodeSnapshotSources(session.snapshotSources);
+  showSnapshotGrid(await decodeSnapshots(session.snapshots));
+
+  setStatus(`Viewing saved session: ${session.name}`, "complete");
+}
+
+async function refreshHistory() {
+  try {
+    const sessions = await listSessions(activeProfileId);
+    renderHistoryList(sessions, {
+      onOpen: async (id) => {
+        // Stay in the list until the session has loaded, so a failure can be shown there
+        await openSession(id);
+        closeHistory();
+      },
+      onRename: async (id, name) => {
+        await renameSession(id, name);
+        if (completedSession?.id === id) completedSession.name = name;
+      },
+      onDelete: async (id) => {
+        if (!confirm("Delete this session? This cannot be undone.")) return;
+        await deleteSession(id);
+        if (completedSession?.id === id) delete completedSession.id;
+        refreshHistory();
+      },
+    });
+  } catch (err) {
+    document.getElementById("historyList").textContent = `Could not load history: ${err.message}`;
+    console.error(err);
+  }
+}
+
+function openHistory() {
+  historyModal.hidden = false;
+  refreshHistory();
+}
+
+function closeHistory() {
+  historyModal.hidden = true;
+}
+
+document.getElementById("historyBtn").addEventListener("click", openHistory);
+document.getElementById("historyClose").addEventListener("click", closeHistory);
+historyModal.addEventListener("click", (e) => {
+  if (e.target === historyModal) closeHistory();
+});
+
+// --- Export ---
+document.getElementById("exportCsvBtn").addEventListener("click", () => {
+  if (completedSession) downloadFile(`${exportBaseName(completedSession)}.csv`, sessionToCsv(completedSession), "text/csv");
+});
+
+document.getElementById("exportJsonBtn").addEventListener("click", () => {
+  if (completedSession) downloadFile(`${exportBaseName(completedSession)}.json`, sessionToJson(completedSession), "application/json");
+});
+
+// --- Scale calibration ---
+const calibrationModal = document.getElementById("calibrationModal");
+const calibrationReference = document.getElementById("calibrationReference");
+const calibrationLength = document.getElementById("calibrationLength");
+const calibrationPicker = document.getElementById("calibrationPicker");
+const calibrationCanvas = document.getElementById("calibrationCanvas");
+const calibrationHint = document.getElementById("calibrationHint");
+
+let calibrationFrame = null; // captured video frame the points are marked on
+let calibrationPoints = []; // up to two { x, y } in normalized image coords
+
+/**
+ * Attach millimetre segment lengths and saddle change estimates to a session,
+ * using the active calibration. Front-view sessions have no sagittal segments.
+ */
+function measureSession(session) {
+  const scale = session.view === "front" ? null : resolveScale(calibration, session.cycles);
+  const segments = scale ? measureSegments(session.cycles, scale) : null;
+  session.measurements = segments ? { segments, calibration: { ...calibration }, mmPerUnit: scale } : null;
+  estimateSessionAdjustments(session);
+}
+
+/**
+ * Attach saddle changes in mm to the session's results, from its measured segments.
+ */
+function estimateSessionAdjustments(session) {
+  const segments = session.measurements?.segments;
+  const adjustments = segments ? estimateAdjustments(session.results, segments) : {};
+  for (const rec of session.results) {
+    rec.adjustment = adjustments[rec.key] ?? null;
+  }
+}
+
+/**
+ * Draw a captured frame with up to two marked points joined by a line.
+ */
+function drawPointPicker(canvas, frame, points) {
+  const ctx = canvas.getContext("2d");
+  if (!frame) {
+    canvas.width = 640;
+    canvas.height = 360;
+    ctx.fillStyle = "#0f172a";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return;
+  }
+
+  const w = (canvas.width = frame.width);
+  const h = (canvas.height = frame.height);
+  ctx.drawImage(frame, 0, 0);
+
+  ctx.strokeStyle = "#fbbf24";
+  ctx.fillStyle = "#fbbf24";
+  ctx.lineWidth = Math.max(2, w / 320);
+  if (points.length === 2) {
+    const [a, b] = points;
+    ctx.beginPath();
+    ctx.moveTo(a.x * w, a.y * h);
+    ctx.lineTo(b.x * w, b.y * h);
+    ctx.stroke();
+  }
+  for (const p of points) {
+    ctx.beginPath();
+    ctx.arc(p.x * w, p.y * h, ctx.lineWidth * 3, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+}
+
+/**
+ * Add a click on a point picker canvas; a third click starts a new pair.
+ */
+function pickPoint(canvas, points, e) {
+  const rect = canvas.getBoundingClientRect();
+  const next = points.length === 2 ? [] : [...points];
+  next.push({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+  return next;
+}
+
+function drawCalibrationFrame() {
+  drawPointPicker(calibrationCanvas, calibrationFrame, calibrationPoints);
+}
+
+function setCalibrationHint(text, isError = false) {
+  calibrationHint.textContent = text;
+  calibrationHint.classList.toggle("calibration-note--error", isError);
+}
+
+function captureCalibrationFrame() {
+  calibrationFrame = captureFrame();
+  setCalibrationHint(calibrationFrame
+    ? "Click both ends of the reference on the frame."
+    : "No video frame available — start the camera or load a video first.", !calibrationFrame);
+  drawCalibrationFrame();
+}
+
+function showCalibrationReference(reference) {
+  const { needsPoints } = REFERENCES[reference];
+  calibrationPicker.hidden = !needsPoints;
+  document.getElementById("calibrationCrankNote").hidden = needsPoints;
+  if (needsPoints && !calibrationFrame) captureCalibrationFrame();
+}
+
+function openCalibration() {
+  const reference = calibration?.reference || "crank";
+  calibrationReference.value = reference;
+  calibrationLength.value = calibration?.lengthMm ?? REFERENCES[reference].defaultMm;
+  calibrationPoints = calibration?.points ? [...calibration.points] : [];
+  calibrationFrame = null;
+  showCalibrationReference(reference);
+  drawCalibrationFrame();
+  calibrationModal.hidden = false;
+}
+
+function closeCalibration() {
+  calibrationModal.hidden = true;
+  calibrationFrame = null;
+}
+
+/**
+ * Re-measure the session on screen after the calibration changed.
+ */
+function applyCalibration() {
+  if (!completedSession) return;
+  endComparison();
+  measureSession(completedSession);
+  renderRecommendations(completedSession.results);
+  renderMeasurements(completedSession.measurements);
+  if (completedSession.id !== undefined) {
+    const { results, measurements } = completedSession;
+    updateSession(completedSession.id, { results, measurements }).catch((err) => console.error("Failed to save measurements", err));
+  }
+}
+
+calibrationReference.addEventListener("change", () => {
+  const reference = calibrationReference.value;
+  calibrationLength.value = REFERENCES[reference].defaultMm;
+  calibrationPoints = [];
+  showCalibrationReference(reference);
+  drawCalibrationFrame();
+});
+
+calibrationCanvas.addEventListener("click", (e) => {
+  if (!calibrationFrame) return;
+  calibrationPoints = pickPoint(calibrationCanvas, calibrationPoints, e);
+  drawCalibrationFrame();
+});
+
+document.getElementById("calibrationRecapture").addEventListener("click", () => {
+  calibrationPoints = [];
+  captureCalibrationFrame();
+});
+
+document.getElementById("calibrationSave").addEventListener("click", () => {
+  const reference = calibrationReference.value;
+  const lengthMm = parseFloat(calibrationLength.value);
+  if (!(lengthMm > 0)) {
+    calibrationLength.focus();
+    return;
+  }
+
+  const { needsPoints } = REFERENCES[reference];
+  if (needsPoints && calibrationPoints.length < 2) {
+    setCalibrationHint("Mark both ends of the reference before saving.", true);
+    return;
+  }
+
+  calibration = {
+    reference,
+    lengthMm,
+    points: needsPoints ? calibrationPoints : null,
+    distance: needsPoints ? pointDistance(calibrationPoints, getAspectRatio()) : null,
+  };
+  saveCalibration(calibration);
+  applyCalibration();
+  closeCalibration();
+});
+
+document.getElementById("calibrationClear").addEventListener("click", () => {
+  calibration = null;
+  saveCalibration(null);
+  applyCalibration();
+  closeCalibration();
+});
+
+document.getElementById("calibrationBtn").addEventListener("click", openCalibration);
+document.getElementById("calibrationClose").addEventListener("click", closeCalibration);
+calibrationModal.addEventListener("click", (e) => {
+  if (e.target === calibrationModal) closeCalibration();
+});
+
+// --- Camera level ---
+const levelModal = document.getElementById("levelModal");
+const levelCanvas = document.getElementById("levelCanvas");
+const levelHint = document.getElementById("levelHint");
+const levelSensorBtn = document.getElementById("levelSensor");
+
+let levelFrame = null;
+let levelPoints = [];
+let pendingTilt = null; // measured but not yet saved, in degrees
+
+/**
+ * Switch to a camera setup and apply its stored level correction. Also brings
+ * back the saved pipeline settings a replay may have swapped out.
+ */
+function selectSetup(key) {
+  configurePipeline({ smoothing, cadence: loadCadenceSettings() });
+  simulation = null;
+  cameraSetup = key;
+  applyTilt(loadSetups()[key]?.tilt ?? 0);
+}
+
+function saveSetupTilt(tilt) {
+  const setups = loadSetups();
+  setups[cameraSetup] = { ...setups[cameraSetup], tilt };
+  saveSetups(setups);
+  applyTilt(tilt);
+}
+
+function setLevelHint(text, isError = false) {
+  levelHint.textContent = text;
+  levelHint.classList.toggle("calibration-note--error", isError);
+}
+
+function formatTilt(tilt) {
+  return `${tilt > 0 ? "+" : ""}${tilt.toFixed(1)}\u00B0`;
+}
+
+function captureLevelFrame() {
+  levelFrame = captureFrame();
+  levelPoints = [];
+  setLevelHint(levelFrame
+    ? "Click two points that are level in reality: both wheel axles, or two points on the floor."
+    : "No video frame available — start the camera or load a video first.", !levelFrame);
+  drawPointPicker(levelCanvas, levelFrame, levelPoints);
+}
+
+/**
+ * Average a second of DeviceOrientation readings into a tilt.
+ * Resolves with null if the device doesn't report orientation.
+ */
+async function readDeviceTilt() {
+  if (typeof DeviceOrientationEvent.requestPermission === "function") {
+    if ((await DeviceOrientationEvent.requestPermission()) !== "granted") return null;
+  }
+
+  const readings = [];
+  const onOrientation = (e) => {
+    if (e.beta === null || e.gamma === null) return;
+    readings.push(tiltFromOrientation(e.beta, e.gamma, screen.orientation?.angle ?? 0));
+  };
+  window.addEventListener("deviceorientation", onOrientation);
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  window.removeEventListener("deviceorientation", onOrientation);
+
+  if (readings.length === 0) return null;
+  return readings.reduce((s, t) => s + t, 0) / readings.length;
+}
+
+function openLevel() {
+  pendingTilt = null;
+  levelSensorBtn.hidden = !("DeviceOrientationEvent" in window);
+  captureLevelFrame();
+  if (levelFrame) {
+    setLevelHint(`Current correction: ${formatTilt(cameraTilt)}. ${levelHint.textContent}`);
+  }
+  levelModal.hidden = false;
+}
+
+function closeLevel() {
+  levelModal.hidden = true;
+  levelFrame = null;
+}
+
+levelCanvas.addEventListener("click", (e) => {
+  if (!levelFrame) return;
+  levelPoints = pickPoint(levelCanvas, levelPoints, e);
+  drawPointPicker(levelCanvas, levelFrame, levelPoints);
+  if (levelPoints.length === 2) {
+    pendingTilt = tiltFromPoints(levelPoints, getAspectRatio());
+    setLevelHint(`Camera tilt: ${formatTilt(pendingTilt)}. Save to apply it to new recordings.`);
+  }
+});
+
+document.getElementById("levelRecapture").addEventListener("click", captureLevelFrame);
+
+levelSensorBtn.addEventListener("click", async () => {
+  setLevelHint("Reading device sensor — hold the camera still...");
+  try {
+    pendingTilt = await readDeviceTilt();
+  } catch (err) {
+    console.error(err);
+    pendingTilt = null;
+  }
+  if (pendingTilt === null) {
+    setLevelHint("This device didn't report its orientation. Mark two level points instead.", true);
+  } else {
+    setLevelHint(`Device tilt: ${formatTilt(pendingTilt)}. Save to apply it to new recordings.`);
+  }
+});
+
+document.getElementById("levelSave").addEventListener("click", () => {
+  if (pendingTilt === null) {
+    setLevelHint("Mark two level points or read the device sensor first.", true);
+    return;
+  }
+  saveSetupTilt(pendingTilt);
+  closeLevel();
+});
+
+document.getElementById("levelClear").addEventListener("click", () => {
+  saveSetupTilt(0);
+  closeLevel();
+});
+
+document.getElementById("levelBtn").addEventListener("click", openLevel);
+document.getElementById("levelClose").addEventListener("click", closeLevel);
+levelModal.addEventListener("click", (e) => {
+  if (e.target === levelModal) closeLevel();
+});
+
+// --- Camera selection ---
+const cameraModal = document.getElementById("cameraModal");
+const cameraDevice = document.getElementById("cameraDevice");
+const cameraResolution = document.getElementById("cameraResolution");
+const cameraFrameRate = document.getElementById("cameraFrameRate");
+const cameraNegotiated = document.getElementById("cameraNegotiated");
+
+async function populateCameraInputs(value) {
+  let cameras = [];
+  try {
+    cameras = await listCameras();
+  } catch (err) {
+    console.warn(err);
+  }
+  cameraDevice.innerHTML = "";
+  cameraDevice.add(new Option("Default camera", ""));
+  for (const { deviceId, label } of cameras) cameraDevice.add(new Option(label, deviceId));
+  cameraDevice.value = cameras.some((c) => c.deviceId === value.deviceId) ? value.deviceId : "";
+  cameraResolution.value = `${value.width}x${value.height}`;
+  if (!cameraResolution.value) cameraResolution.value = `${DEFAULT_CAMERA.width}x${DEFAULT_CAMERA.height}`;
+  cameraFrameRate.value = String(value.frameRate);
+  if (!cameraFrameRate.value) cameraFrameRate.value = String(DEFAULT_CAMERA.frameRate);
+}
+
+function readCameraInputs() {
+  const [width, height] = cameraResolution.value.split("x").map(Number);
+  return { deviceId: cameraDevice.value, width, height, frameRate: Number(cameraFrameRate.value) };
+}
+
+function showNegotiatedCamera() {
+  const actual = getCameraSettings();
+  if (!actual) {
+    cameraNegotiated.textContent = "The camera isn't in use. Applying switches back to it.";
+    return;
+  }
+  const fps = actual.frameRate ? ` at ${Math.round(actual.frameRate)} fps` : "";
+  cameraNegotiated.textContent = `Current stream: ${actual.label || "camera"}, ${actual.width} × ${actual.height}${fps}`;
+}
+
+async function openCamera() {
+  await populateCameraInputs(camera);
+  showNegotiatedCamera();
+  cameraModal.hidden = false;
+}
+
+function closeCamera() {
+  cameraModal.hidden = true;
+}
+
+document.getElementById("cameraSettingsBtn").addEventListener("click", openCamera);
+document.getElementById("cameraClose").addEventListener("click", closeCamera);
+cameraModal.addEventListener("click", (e) => {
+  if (e.target === cameraModal) closeCamera();
+});
+
+navigator.mediaDevices?.addEventListener("devicechange", () => {
+  if (!cameraModal.hidden) populateCameraInputs(readCameraInputs());
+});
+
+document.getElementById("cameraReset").addEventListener("click", () => {
+  populateCameraInputs(DEFAULT_CAMERA);
+});
+
+document.getElementById("cameraApply").addEventListener("click", async () => {
+  camera = readCameraInputs();
+  saveCamera(camera);
+  try {
+    await startCamera();
+    showNegotiatedCamera();
+    closeCamera();
+  } catch (err) {
+    cameraNegotiated.textContent = `Could not start the camera: ${err.message}`;
+    console.error(err);
+  }
+});
+
+// --- Comparison ---
+const compareModal = document.getElementById("compareModal");
+const compareBefore = document.getElementById("compareBefore");
+const compareAfter = document.getElementById("compareAfter");
+const compareStartBtn = document.getElementById("compareStart");
+const exitCompareBtn = document.getElementById("exitCompareBtn");
+
+const CURRENT_SESSION_VALUE = "current";
+
+async function openCompare() {
+  let sessions;
+  try {
+    sessions = await listSessions(activeProfileId);
+  } catch (err) {
+    setStatus(`Could not load saved sessions to compare: ${err.message}`);
+    console.error(err);
+    return;
+  }
+  const options = [];
+  // An unsaved live session is only reachable as "current"; a saved one is listed by id below
+  if (completedSession && completedSession.id === undefined) {
+    options.push({ value: CURRENT_SESSION_VALUE, label: `Current session (${completedSession.name})` });
+  }
+  for (const session of sessions) {
+    const current = session.id === completedSession?.id ? " (current)" : "";
+    options.push({ value: String(session.id), label: `${session.name}${current}` });
+  }
+
+  for (const select of [compareBefore, compareAfter]) {
+    select.innerHTML = "";
+    for (const { value, label } of options) {
+      select.add(new Option(label, value));
+    }
+  }
+
+  // Default: the previous saved session as "before", what's on screen as "after"
+  const currentValue = completedSession
+    ? (completedSession.id === undefined ? CURRENT_SESSION_VALUE : String(completedSession.id))
+    : options[0]?.value;
+  compareAfter.value = currentValue;
+  compareBefore.value = options.find((o) => o.value !== currentValue)?.value ?? currentValue;
+
+  updateCompareStart();
+  compareModal.hidden = false;
+}
+
+/**
+ * A session can't be compared with itself.
+ */
+function updateCompareStart() {
+  compareStartBtn.disabled = compareBefore.value === compareAfter.value;
+}
+
+function closeCompare() {
+  compareModal.hidden = true;
+}
+
+function resolveSession(value) {
+  if (value === CURRENT_SESSION_VALUE) return completedSession;
+  return getSession(Number(value));
+}
+
+/**
+ * Overlay the "before" session on the charts and show per-angle deltas on the
+ * "after" session's recommendation cards.
+ */
+async function startComparison(beforeValue, afterValue) {
+  const before = await resolveSession(beforeValue);
+  const after = await resolveSession(afterValue);
+  if (!before || !after) return;
+
+  if (after !== completedSession && after.id !== completedSession?.id) {
+    await openSession(after.id);
+  }
+
+  comparisonBaseline = before;
+  showComparison(before.cycles, after.cycles);
+  renderRecommendations(after.results, compareResults(before.results, after.results));
+  exitCompareBtn.hidden = false;
+
+  setStatus(`Comparing: ${before.name} → ${after.name}`, "complete");
+}
+
+/**
+ * Leave the comparison view, restoring the single-session charts and cards.
+ */
+function endComparison() {
+  if (!comparisonBaseline) return;
+  comparisonBaseline = null;
+  exitCompareBtn.hidden = true;
+  clearComparison();
+  if (completedSession) {
+    rebuildCharts(completedSession.cycles);
+    renderRecommendations(completedSession.results);
+  }
+}
+
+document.getElementById("compareBtn").addEventListener("click", openCompare);
+document.getElementById("compareClose").addEventListener("click", closeCompare);
+compareModal.addEventListener("click", (e) => {
+  if (e.target === compareModal) closeCompare();
+});
+
+compareBefore.addEventListener("change", updateCompareStart);
+compareAfter.addEventListener("change", updateCompareStart);
+
+compareStartBtn.addEventListener("click", async () => {
+  closeCompare();
+  try {
+    await startComparison(compareBefore.value, compareAfter.value);
+  } catch (err) {
+    setStatus(`Could not compare sessions: ${err.message}`);
+    console.error(err);
+  }
+});
+
+exitCompareBtn.addEventListener("click", () => {
+  endComparison();
+  if (completedSession) setStatus(`Viewing session: ${completedSession.name}`, "complete");
+});
+
+// --- Report ---
+const reportModal = document.getElementById("reportModal");
+const reportInputs = {
+  rider: document.getElementById("reportRider"),
+  riderNotes: document.getElementById("reportRiderNotes"),
+  bikeNotes: document.getElementById("reportBikeNotes"),
+};
+
+function openReportModal() {
+  // Start from the rider's profile until notes have been written for this session
+  const profile = profiles[completedSession?.profileId ?? activeProfileId];
+  const notes = completedSession?.notes || { rider: profile?.name, bikeNotes: profile?.bikeNotes };
+  for (const [key, input] of Object.entries(reportInputs)) {
+    input.value = notes[key] || "";
+  }
+  reportModal.hidden = false;
+}
+
+function closeReportModal() {
+  reportModal.hidden = true;
+}
+
+document.getElementById("reportBtn").addEventListener("click", openReportModal);
+document.getElementById("reportClose").addEventListener("click", closeReportModal);
+reportModal.addEventListener("click", (e) => {
+  if (e.target === reportModal) closeReportModal();
+});
+
+document.getElementById("reportGenerate").addEventListener("click", () => {
+  if (!completedSession) return;
+
+  const notes = Object.fromEntries(Object.entries(reportInputs).map(([key, input]) => [key, input.value]));
+  completedSession.notes = notes;
+  if (completedSession.id !== undefined) {
+    updateSession(completedSession.id, { notes }).catch((err) => console.error("Failed to save notes", err));
+  }
+
+  try {
+    openReport({
+      session: completedSession,
+      notes,
+      // The overlay canvas holds the snapshot grid once a session is complete
+      gridImage: videoEl.hidden ? canvasEl.toDataURL("image/jpeg", 0.9) : null,
+      chartImages: getChartImages(VIEW_METRICS[completedSession.view || "side"]),
+    });
+    closeReportModal();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+  }
+});
+
 // --- Status ---
 function setStatus(text, mode) {
   statusText.textContent = text;
@@ -0,0 +1,186 @@
+// Pose estimation backends. pose.js only talks to the object returned by
+// createBackend(), so another engine can be added to ENGINES without touching
+// the detection loop. A backend has:
+//   info                      { id, engine, variant, delegate, model, label }
+//   detect(image, timestamp)  → 33 MediaPipe-style landmarks, or null
+//   close()
+const VISION_BUNDLE = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/vision_bundle.mjs";
+const VISION_CDN = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/wasm";
+const MODEL_BASE = "https://storage.googleapis.com/mediapipe-models/pose_landmarker";
+
+// Ordered from fastest to most accurate
+export const MODEL_VARIANTS = {
+  lite: { label: "Lite", url: `${MODEL_BASE}/pose_landmarker_lite/float16/latest/pose_landmarker_lite.task` },
+  full: { label: "Full", url: `${MODEL_BASE}/pose_landmarker_full/float16/latest/pose_landmarker_full.task` },
+  heavy: { label: "Heavy", url: `${MODEL_BASE}/pose_landmarker_heavy/float16/latest/pose_landmarker_heavy.task` },
+};
+
+export const DELEGATES = {
+  GPU: "GPU",
+  CPU: "CPU",
+};
+
+// modelUrl, when set, replaces the variant's download (e.g. a local copy)
+export const DEFAULT_BACKEND = {
+  engine: "mediapipe",
+  variant: "heavy",
+  delegate: "GPU",
+  modelUrl: "",
+};
+
+const BENCHMARK_WARMUP = 5;
+const BENCHMARK_FRAMES = 20;
+// Slowest rate at which cadence detection and the pedal-stroke sampling stay reliable
+const BENCHMARK_TARGET_FPS = 20;
+
+let visionModule = null;
+let filesetResolver = null;
+
+/**
+ * The model file a MediaPipe config loads.
+ */
+export function modelUrlFor(config) {
+  return config.modelUrl || MODEL_VARIANTS[config.variant].url;
+}
+
+/**
+ * The config with a relative model override resolved against the page. The
+ * backend runs in the pose worker, where a relative path would resolve
+ * against the worker script in js/ instead of index.html.
+ */
+export function resolveModelUrl(config) {
+  if (!config.modelUrl) return config;
+  return { ...config, modelUrl: new URL(config.modelUrl, location.href).href };
+}
+
+/**
+ * Absolute URLs of everything the MediaPipe backend downloads, for caching
+ * offline. Only the SIMD WASM build is listed; browsers without SIMD fetch
+ * the fallback build on first use and it is cached then.
+ */
+export function getBackendAssets(config) {
+  return [
+    VISION_BUNDLE,
+    `${VISION_CDN}/vision_wasm_internal.js`,
+    `${VISION_CDN}/vision_wasm_internal.wasm`,
+    modelUrlFor(resolveModelUrl(config)),
+  ];
+}
+
+/**
+ * Human-readable name of a backend, e.g. "MediaPipe Heavy (GPU)".
+ */
+export function describeBackend(info) {
+  if (!info) return "Unknown";
+  if (info.label) return info.label;
+  const variant = info.model ? "custom model" : MODEL_VARIANTS[info.variant]?.label ?? info.variant;
+  return `MediaPipe ${variant} (${info.delegate})`;
+}
+
+async function loadVision() {
+  if (!visionModule) {
+    visionModule = await import(VISION_BUNDLE);
+    filesetResolver = await visionModule.FilesetResolver.forVisionTasks(VISION_CDN);
+  }
+  return visionModule;
+}
+
+async function createMediaPipeBackend(config) {
+  const { PoseLandmarker } = await loadVision();
+  const modelAssetPath = modelUrlFor(config);
+  const create = (delegate) => PoseLandmarker.createFromOptions(filesetResolver, {
+    baseOptions: { modelAssetPath, delegate },
+    runningMode: "VIDEO",
+    numPoses: 1,
+  });
+
+  let delegate = config.delegate;
+  let landmarker;
+  try {
+    landmarker = await create(delegate);
+  } catch (err) {
+    // The GPU delegate needs WebGL2; fall back to the WASM CPU path without it
+    if (delegate !== DELEGATES.GPU) throw err;
+    console.warn("GPU delegate unavailable, falling back to CPU:", err);
+    delegate = DELEGATES.CPU;
+    landmarker = await create(delegate);
+  }
+
+  const info = {
+    id: `mediapipe-${config.modelUrl ? "custom" : config.variant}-${delegate.toLowerCase()}`,
+    engine: "mediapipe",
+    variant: config.variant,
+    delegate,
+    model: config.modelUrl || null,
+    fallback: delegate !== config.delegate,
+  };
+
+  return {
+    info,
+    detect(image, timestamp) {
+      const result = landmarker.detectForVideo(image, timestamp);
+      return result.landmarks?.[0] ?? null;
+    },
+    close() {
+      landmarker.close();
+    },
+  };
+}
+
+const ENGINES = {
+  mediapipe: createMediaPipeBackend,
+};
+
+/**
+ * Create a pose backend from a config like DEFAULT_BACKEND.
+ * @returns {Promise<Object>} backend, see the top of this file
+ */
+export async function createBackend(config = DEFAULT_BACKEND) {
+  const full = { ...DEFAULT_BACKEND, ...config };
+  const factory = ENGINES[full.engine];
+  if (!factory) throw new Error(`Unknown pose backend "${full.engine}"`);
+  return factory(full);
+}
+
+/**
+ * Time every model variant on one image and recommend the most accurate one
+ * that keeps up with BENCHMARK_TARGET_FPS. The image should show the rider:
+ * without a person in view the landmark model never runs and timings are
+ * optimistic.
+ * @param {HTMLVideoElement|ImageBitmap} image
+ * @param {string} delegate - preferred delegate; falls back to CPU as in createBackend()
+ * @param {Function} [onProgress] - called with the variant about to be tested
+ * @returns {Promise<Object>} { results: [{ variant, delegate, fps, ms, detected, error }],
+ *   recommended: { variant, delegate } | null, targetFps }
+ */
+export async function benchmarkBackends(image, delegate, onProgress) {
+  const results = [];
+  for (const variant of Object.keys(MODEL_VARIANTS)) {
+    onProgress?.(variant);
+    let backend = null;
+    try {
+      backend = await createBackend({ variant, delegate });
+      let timestamp = 0;
+      let detected = false;
+      for (let i = 0; i < BENCHMARK_WARMUP; i++) backend.detect(image, ++timestamp);
+      const start = performance.now();
+      for (let i = 0; i < BENCHMARK_FRAMES; i++) {
+        if (backend.detect(image, ++timestamp)) detected = true;
+      }
+      const ms = (performance.now() - start) / BENCHMARK_FRAMES;
+      results.push({ variant, delegate: backend.info.delegate, ms: Math.round(ms * 10) / 10, fps: Math.round(1000 / ms), detected });
+    } catch (err) {
+      results.push({ variant, delegate, ms: null, fps: null, detected: false, error: err.message });
+    } finally {
+      backend?.close();
+    }
+  }
+
+  const fastEnough = results.filter((r) => r.fps >= BENCHMARK_TARGET_FPS);
+  const best = fastEnough[fastEnough.length - 1] ?? results.find((r) => r.fps);
+  return {
+    results,
+    recommended: best ? { variant: best.variant, delegate: best.delegate } : null,
+    targetFps: BENCHMARK_TARGET_FPS,
+  };
+}
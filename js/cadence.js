@@ -1,31 +1,408 @@
-const WINDOW_DURATION_MS = 4000; // 4-second sliding window
+import { median } from "./stats.js";
+
+// Configurable limits: cadences outside [minRpm, maxRpm] are ignored, and pedaling
+// counts as steady once consecutive periods vary by less than stabilityTolerance.
+export const DEFAULT_CADENCE = {
+  minRpm: 40,
+  maxRpm: 150,
+  stabilityTolerance: 0.25,
+};
+
+const WINDOW_DURATION_MS = 4000; // minimum sliding window; grows to hold 2.5 periods at minRpm
 const MIN_CYCLES_FOR_STEADY = 3;
-const MAX_PERIOD_VARIATION = 0.25; // 25%
-const MIN_CADENCE_RPM = 40;
-const MAX_CADENCE_RPM = 120;
 const STOP_TIMEOUT_MS = 2000;
 
+// All timing is in milliseconds rather than samples, so behaviour doesn't
+// depend on the camera's frame rate.
+const RESAMPLE_INTERVAL_MS = 10; // knee Y is interpolated onto a 100 Hz grid
+const SMOOTHING_RADIUS_MS = 40;
+const PERIOD_UPDATE_MS = 100; // re-estimate the period at most this often
+const MIN_PERIODICITY = 0.5; // normalized autocorrelation needed to trust a period
+const MIN_AMPLITUDE = 0.01; // 1% of normalized image height, peak to mean
+
+/**
+ * Peak-to-peak hip excursion over one cycle, as % of thigh length.
+ * Frames carry an optional `hipPos` from computeHipPosition().
+ * @returns {Object|null} { vertical, horizontal, amplitude } where amplitude is the larger of the two
+ */
+function summarizeHipMotion(frames) {
+  const positions = frames.map((f) => f.hipPos).filter(Boolean);
+  if (positions.length < frames.length / 2) return null;
+
+  const xs = positions.map((p) => p.x);
+  const ys = positions.map((p) => p.y);
+  const thighLength = positions.reduce((s, p) => s + p.thighLength, 0) / positions.length;
+  const vertical = ((Math.max(...ys) - Math.min(...ys)) / thighLength) * 100;
+  const horizontal = ((Math.max(...xs) - Math.min(...xs)) / thighLength) * 100;
+  return { vertical, horizontal, amplitude: Math.max(vertical, horizontal) };
+}
+
+/**
+ * Per-cycle inputs for scale calibration: the diameter of the circle the pedal
+ * traces (twice the crank length) and median body segment lengths, both in
+ * aspect-corrected units. Either is null if too few frames had the landmarks.
+ */
+function summarizeScale(frames, setbackFrames) {
+  let pedalCircle = null;
+  if (setbackFrames.length >= frames.length / 2) {
+    const xs = setbackFrames.map((a) => a.setback.pedalForward);
+    const ys = setbackFrames.map((a) => a.setback.pedalY);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    pedalCircle = { diameter: (width + height) / 2 };
+  }
+
+  let segments = null;
+  const segmentFrames = frames.map((a) => a.segments).filter(Boolean);
+  if (segmentFrames.length >= frames.length / 2) {
+    segments = Object.fromEntries(
+      Object.keys(segmentFrames[0]).map((key) => [key, median(segmentFrames.map((s) => s[key]))])
+    );
+  }
+
+  return { pedalCircle, segments };
+}
+
+// Crank positions as phase in degrees: 0 = top dead centre, increasing in the
+// pedaling direction (90 = 3 o'clock, pedal forward)
+export const CRANK_POSITIONS = { tdc: 0, three: 90, bdc: 180, nine: 270 };
+// A position is only sampled if some frame lies this close to it
+const MAX_PHASE_GAP_DEG = 30;
+const POSITION_ANGLES = ["knee", "hip", "torso", "elbow", "ankle"];
+
+/**
+ * Pedal spindle position of a frame for crank-phase estimation: forward along
+ * x, levelled image y (down) along y. Null if the foot was hidden.
+ */
+function pedalPoint(angles) {
+  return angles.setback ? { x: angles.setback.pedalForward, y: angles.setback.pedalY } : null;
+}
+
+/**
+ * Fit the pedal spindle's path over a cycle as an axis-aligned ellipse.
+ * @param {Array} points - pedalPoint() positions
+ * @returns {Object|null} { cx, cy, rx, ry }
+ */
+function fitCrankPath(points) {
+  if (points.length < 4) return null;
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const rx = (Math.max(...xs) - Math.min(...xs)) / 2;
+  const ry = (Math.max(...ys) - Math.min(...ys)) / 2;
+  if (rx === 0 || ry === 0) return null;
+  return {
+    cx: (Math.max(...xs) + Math.min(...xs)) / 2,
+    cy: (Math.max(...ys) + Math.min(...ys)) / 2,
+    rx,
+    ry,
+  };
+}
+
+/**
+ * Crank phase (0–360°) of one pedal position on a fitted path. The path is
+ * normalized to a unit circle, then the phase is measured from the top,
+ * forwards: 0 = TDC, 90 = 3 o'clock, 180 = BDC, 270 = 9 o'clock.
+ */
+function crankPhase(point, path) {
+  const forward = (point.x - path.cx) / path.rx;
+  const up = -(point.y - path.cy) / path.ry;
+  return ((Math.atan2(forward, up) * 180) / Math.PI + 360) % 360;
+}
+
+// Signed phase difference a − b, wrapped to (−180°, 180°]
+function phaseOffset(a, b) {
+  const d = (((a - b) % 360) + 360) % 360;
+  return d > 180 ? d - 360 : d;
+}
+
+/**
+ * Two readings linearly interpolated at fraction f; a missing value takes the
+ * nearer frame's.
+ */
+function blend(a, b, f) {
+  return Object.fromEntries(Object.keys(a).map((key) => {
+    if (a[key] === null || b[key] === null) return [key, f < 0.5 ? a[key] : b[key]];
+    return [key, a[key] + f * (b[key] - a[key])];
+  }));
+}
+
+/**
+ * Read frame values at one crank position. Frames rarely land exactly on it,
+ * so the two frames either side are interpolated by phase; the nearest frame
+ * is used if none straddle it. A cycle is one crank revolution, so its last
+ * and first frames count as neighbours (cycles split at the knee's lowest
+ * point, close to BDC).
+ * @param {Array} frames - frames carrying `setback`, in order
+ * @param {Array} phases - crankPhase() of each frame
+ * @param {number} target - crank position in degrees
+ * @param {Function} read - frame → { key: value | null }
+ * @returns {Object|null} read()'s keys at the position, or null if no frame is near it
+ */
+function sampleAt(frames, phases, target, read) {
+  for (let i = 0; i < phases.length && phases.length > 1; i++) {
+    const prev = (i + phases.length - 1) % phases.length;
+    const before = phaseOffset(phases[prev], target);
+    const after = phaseOffset(phases[i], target);
+    if (before <= 0 && after >= 0 && after - before <= MAX_PHASE_GAP_DEG) {
+      return blend(read(frames[prev]), read(frames[i]), after > before ? -before / (after - before) : 0);
+    }
+  }
+
+  let best = -1;
+  for (let i = 0; i < phases.length; i++) {
+    if (best === -1 || Math.abs(phaseOffset(phases[i], target)) < Math.abs(phaseOffset(phases[best], target))) best = i;
+  }
+  return best !== -1 && Math.abs(phaseOffset(phases[best], target)) <= MAX_PHASE_GAP_DEG ? read(frames[best]) : null;
+}
+
+const readAngles = (a) => Object.fromEntries(POSITION_ANGLES.map((key) => [key, a[key] ?? null]));
+
+/**
+ * Sample every angle at the true crank positions of one cycle, see sampleAt().
+ * @param {Array} frames - side-view frames carrying `setback`
+ * @param {Array} phases - crankPhase() of each frame
+ * @returns {Object} { tdc, three, bdc, nine } each { knee, hip, torso, elbow, ankle } | null
+ */
+function samplePositions(frames, phases) {
+  return Object.fromEntries(
+    Object.entries(CRANK_POSITIONS).map(([name, target]) => [name, sampleAt(frames, phases, target, readAngles)])
+  );
+}
+
+// Per-frame series kept with each cycle for stroke profiles
+const SERIES_KEYS = {
+  side: ["knee", "hip", "torso", "elbow", "ankle"],
+  front: ["trackLeft", "trackRight"],
+};
+
+const round1 = (v) => (v === null || v === undefined ? null : Math.round(v * 10) / 10);
+
+/**
+ * Keep one cycle's per-frame values, time-normalized to the stroke.
+ * @param {Array} cycleFrames - { t, angles } from the start to the end of the cycle
+ * @param {number} start - timestamp of the previous peak
+ * @param {number} end - timestamp of this peak
+ * @param {Object|null} path - fitted crank path, for per-frame phase
+ * @returns {Object} { progress, phase, <metric>... } parallel arrays; progress runs 0–1
+ */
+function cycleSeries(cycleFrames, start, end, path) {
+  const view = cycleFrames[0].angles.trackLeft !== undefined ? "front" : "side";
+  const series = {
+    progress: cycleFrames.map((f) => Math.round(((f.t - start) / (end - start)) * 1000) / 1000),
+    phase: cycleFrames.map((f) => (path && f.angles.setback ? Math.round(crankPhase(pedalPoint(f.angles), path)) : null)),
+  };
+  for (const key of SERIES_KEYS[view]) {
+    series[key] = cycleFrames.map((f) => round1(f.angles[key]));
+  }
+  return series;
+}
+
+/**
+ * Reduce one cycle's per-frame measurements to the values the analysis uses.
+ * Side-view frames yield { knee: { max }, hip: { min }, torso: { avg }, elbow: { avg },
+ * ankle: { min, max, range } | null, kops: { offset, ratio } | null, hipRock, pedalCircle,
+ * segments, positions }; front-view
+ * frames yield { trackLeft: { avg, min, max }, trackRight: { avg, min, max }, hipRock }.
+ * hipRock is summarizeHipMotion()'s result (null if the hips were hidden); pedalCircle
+ * and segments come from summarizeScale(); positions holds the angles sampled at
+ * TDC, 3 o'clock, BDC and 9 o'clock (see samplePositions()), or null without a crank path.
+ * @param {Object|null} path - fitted crank path of the cycle
+ */
+function summarizeCycle(frames, path) {
+  if (frames[0].trackLeft !== undefined) {
+    const stats = (values) => ({
+      avg: values.reduce((s, v) => s + v, 0) / values.length,
+      min: Math.min(...values),
+      max: Math.max(...values),
+    });
+    return {
+      trackLeft: stats(frames.map((f) => f.trackLeft)),
+      trackRight: stats(frames.map((f) => f.trackRight)),
+      hipRock: summarizeHipMotion(frames),
+    };
+  }
+
+  const ankleValues = frames.map((a) => a.ankle).filter((v) => v !== null && v !== undefined);
+  const ankleMin = Math.min(...ankleValues);
+  const ankleMax = Math.max(...ankleValues);
+
+  const setbackFrames = frames.filter((a) => a.setback);
+  const phases = path ? setbackFrames.map((a) => crankPhase(pedalPoint(a), path)) : null;
+  let kops = null;
+  if (phases) {
+    kops = sampleAt(setbackFrames, phases, CRANK_POSITIONS.three, ({ setback }) => ({
+      offset: setback.offset,
+      ratio: (setback.offset / setback.thighLength) * 100,
+    }));
+  } else if (setbackFrames.length >= frames.length / 2) {
+    // Without a crank path, 3 o'clock is where the pedal is furthest forward
+    const { setback } = setbackFrames.reduce((best, a) => (a.setback.pedalForward > best.setback.pedalForward ? a : best));
+    kops = { offset: setback.offset, ratio: (setback.offset / setback.thighLength) * 100 };
+  }
+
+  return {
+    knee: { max: Math.max(...frames.map((a) => a.knee)) },
+    hip: { min: Math.min(...frames.map((a) => a.hip)) },
+    torso: { avg: frames.reduce((s, a) => s + a.torso, 0) / frames.length },
+    elbow: { avg: frames.reduce((s, a) => s + a.elbow, 0) / frames.length },
+    // Range of ankle motion (ankling); null if the foot was hidden for most of the cycle
+    ankle: ankleValues.length >= frames.length / 2 ? { min: ankleMin, max: ankleMax, range: ankleMax - ankleMin } : null,
+    // Knee over pedal spindle at 3 o'clock; ratio is the offset as % of thigh length
+    kops,
+    hipRock: summarizeHipMotion(frames),
+    ...summarizeScale(frames, setbackFrames),
+    positions: phases && samplePositions(setbackFrames, phases),
+  };
+}
+
+/**
+ * Linearly interpolate irregular { t, y } samples onto a uniform time grid,
+ * then apply a moving average of SMOOTHING_RADIUS_MS.
+ * @returns {Object} { start, values } where values[i] is at start + i * RESAMPLE_INTERVAL_MS
+ */
+function resample(samples) {
+  const start = samples[0].t;
+  const count = Math.floor((samples[samples.length - 1].t - start) / RESAMPLE_INTERVAL_MS) + 1;
+  const raw = new Float64Array(count);
+  let j = 0;
+  for (let i = 0; i < count; i++) {
+    const t = start + i * RESAMPLE_INTERVAL_MS;
+    while (j < samples.length - 2 && samples[j + 1].t < t) j++;
+    const a = samples[j];
+    const b = samples[j + 1] || a;
+    const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+    raw[i] = a.y + f * (b.y - a.y);
+  }
+
+  const radius = Math.round(SMOOTHING_RADIUS_MS / RESAMPLE_INTERVAL_MS);
+  const values = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    let n = 0;
+    for (let k = Math.max(0, i - radius); k <= Math.min(count - 1, i + radius); k++) {
+      sum += raw[k];
+      n++;
+    }
+    values[i] = sum / n;
+  }
+  return { start, values };
+}
+
+/**
+ * Estimate the pedaling period by autocorrelation of the resampled knee signal.
+ * Periodic signals also correlate at 2×, 3× the period, so the shortest lag
+ * that comes close to the best correlation wins.
+ * @returns {Object|null} { period (ms), strength (0–1) } or null if not periodic
+ */
+function estimatePeriod(values, minLag, maxLag) {
+  const n = values.length;
+  if (n < maxLag * 2) maxLag = Math.floor(n / 2);
+  if (maxLag <= minLag + 1) return null;
+
+  const mean = values.reduce((s, v) => s + v, 0) / n;
+  const centered = values.map((v) => v - mean);
+  const energy = centered.reduce((s, v) => s + v * v, 0);
+  if (energy === 0) return null;
+
+  const corr = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += centered[i] * centered[i + lag];
+    // Normalize by overlap so long lags aren't penalized
+    corr[lag] = (sum / (n - lag)) / (energy / n);
+  }
+
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (corr[lag] > corr[best]) best = lag;
+  }
+  if (corr[best] < MIN_PERIODICITY) return null;
+
+  for (let lag = minLag; lag < best; lag++) {
+    if (corr[lag] >= corr[lag - 1] && corr[lag] >= corr[lag + 1] && corr[lag] > 0.85 * corr[best]) {
+      best = lag;
+      break;
+    }
+  }
+
+  // Parabolic interpolation around the best lag for sub-sample precision
+  const [a, b, c] = [corr[best - 1], corr[best], corr[best + 1]];
+  const denom = a - 2 * b + c;
+  const offset = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+  return { period: (best + offset) * RESAMPLE_INTERVAL_MS, strength: b };
+}
+
+/**
+ * Find the newest confirmed extremum of the resampled signal: a point that is
+ * the largest (sign 1) or smallest (sign -1) within a quarter period on both
+ * sides, at least half a period after `after`. Its time is refined by
+ * parabolic interpolation between grid points.
+ * @returns {number|null} timestamp in ms
+ */
+function findExtremum({ start, values }, period, after, sign) {
+  const guard = Math.round(period / 4 / RESAMPLE_INTERVAL_MS);
+  const from = Math.max(guard, Math.ceil((after + period / 2 - start) / RESAMPLE_INTERVAL_MS));
+  const to = values.length - 1 - guard;
+  if (to < from) return null;
+
+  let best = -1;
+  for (let i = from; i <= to; i++) {
+    if (best === -1 || sign * values[i] > sign * values[best]) best = i;
+  }
+
+  for (let k = best - guard; k <= best + guard; k++) {
+    if (k !== best && sign * values[k] >= sign * values[best]) return null;
+  }
+
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  if (Math.abs(values[best] - mean) < MIN_AMPLITUDE) return null;
+
+  const [a, b, c] = [values[best - 1], values[best], values[best + 1]];
+  const denom = a - 2 * b + c;
+  const offset = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+  return start + (best + offset) * RESAMPLE_INTERVAL_MS;
+}
+
 export class CadenceDetector {
-  constructor() {
+  /**
+   * @param {Object} options - { minRpm, maxRpm, stabilityTolerance }, see DEFAULT_CADENCE
+   */
+  constructor(options = DEFAULT_CADENCE) {
+    this.configure(options);
     this.reset();
   }
 
+  /**
+   * Change the cadence limits and stability tolerance. Takes effect on the next sample.
+   */
+  configure(options) {
+    this.options = { ...DEFAULT_CADENCE, ...options };
+    const maxPeriod = 60000 / this.options.minRpm;
+    this.windowMs = Math.max(WINDOW_DURATION_MS, maxPeriod * 2.5);
+    this.stopTimeoutMs = Math.max(STOP_TIMEOUT_MS, maxPeriod * 1.5);
+  }
+
   reset() {
     this.samples = [];       // { t, y } knee Y positions
     this.peaks = [];         // timestamps of detected peaks (knee at lowest = BDC, highest Y value)
     this.troughs = [];       // timestamps of detected troughs (knee at highest = TDC, lowest Y value)
+    this.period = null;      // current autocorrelation period estimate in ms
+    this.lastPeriodUpdate = -Infinity;
     this.isSteady = false;
     this.lastCycleTime = 0;
     this.cycleCount = 0;
     this.onCycleCallback = null;
 
-    // Per-cycle angle tracking
-    this.currentCycleAngles = [];
+    // Per-cycle angle tracking: { t, angles } for each frame since the last peak
+    this.currentCycleFrames = [];
   }
 
   /**
    * Set a callback invoked when a full pedal cycle completes.
-   * callback receives: { cycleNumber, angles: { knee: { max }, hip: { min }, torso: { avg }, elbow: { avg } } }
+   * callback receives: { cycleNumber, timestamp, rpm, phase, angles, series } — see
+   * summarizeCycle() for angles. phase is the crank phase at the cycle's end (the knee's
+   * lowest point), or null when the foot wasn't tracked. series holds the per-frame
+   * values, see cycleSeries().
    */
   onCycle(callback) {
     this.onCycleCallback = callback;
@@ -33,100 +410,78 @@ export class CadenceDetector {
 
   /**
    * Add a new sample. Call every frame with the knee Y position and current angles.
+   * angles may carry a `setback` entry from computeSetback() for KOPS measurement,
+   * a `hipPos` entry from computeHipPosition(), a `segments` entry from
+   * computeSegmentLengths(), or be a computeKneeTracking() result (plus `hipPos`)
+   * in a front-view session. The setback's pedal position also gives the crank phase.
    * In MediaPipe normalized coords, Y increases downward, so BDC (knee lowest on screen)
    * corresponds to the highest Y value.
    */
   addSample(timestamp, kneeY, angles) {
+    // Timestamps must increase; a restarted source starts a fresh window
+    const last = this.samples[this.samples.length - 1];
+    if (last && timestamp <= last.t) return;
+
     this.samples.push({ t: timestamp, y: kneeY });
     if (angles) {
-      this.currentCycleAngles.push(angles);
+      this.currentCycleFrames.push({ t: timestamp, angles });
     }
 
     // Trim old samples outside the window
-    const cutoff = timestamp - WINDOW_DURATION_MS;
+    const cutoff = timestamp - this.windowMs;
     while (this.samples.length > 0 && this.samples[0].t < cutoff) {
       this.samples.shift();
     }
 
-    // Need at least some samples to detect peaks
-    if (this.samples.length < 10) return;
+    // Need at least a couple of the shortest periods before estimating
+    const minPeriod = 60000 / this.options.maxRpm;
+    if (this.samples.length < 10 || timestamp - this.samples[0].t < minPeriod * 2) return;
 
     this._detectPeaks(timestamp);
   }
 
   /**
-   * Returns true if pedaling has stopped (no cycle for >2s).
+   * Returns true if pedaling has stopped (no cycle for longer than 1.5 slowest periods, at least 2s).
    */
   hasStopped(timestamp) {
     if (this.lastCycleTime === 0) return false;
-    return timestamp - this.lastCycleTime > STOP_TIMEOUT_MS;
+    return timestamp - this.lastCycleTime > this.stopTimeoutMs;
   }
 
   _detectPeaks(timestamp) {
-    const samples = this.samples;
-    const len = samples.length;
-
-    // Look at the sample 3 positions back (to allow for some smoothing lag)
-    // and check if it's a local max (peak / BDC) or local min (trough / TDC)
-    const lookback = 5;
-    if (len < lookback * 2 + 1) return;
-
-    const idx = len - 1 - lookback;
-    const candidate = samples[idx];
-
-    // Smooth: average of candidate and neighbors
-    const smoothY = this._smoothY(idx);
-
-    // Check if it's a peak (local maximum in Y = BDC, knee at bottom of stroke)
-    let isPeak = true;
-    let isTrough = true;
-    for (let i = idx - lookback; i <= idx + lookback; i++) {
-      if (i === idx) continue;
-      const sy = this._smoothY(i);
-      if (sy >= smoothY) isPeak = false;
-      if (sy <= smoothY) isTrough = false;
-    }
+    const grid = resample(this.samples);
 
-    // Minimum prominence: the peak/trough must differ from recent average by some amount
-    const avgY = samples.reduce((sum, s) => sum + s.y, 0) / samples.length;
-    const prominence = Math.abs(smoothY - avgY);
-    const minProminence = 0.01; // 1% of normalized image height
-
-    if (isPeak && prominence > minProminence) {
-      // Avoid duplicate peaks too close together (< 300ms)
-      const lastPeak = this.peaks[this.peaks.length - 1];
-      if (!lastPeak || candidate.t - lastPeak > 300) {
-        this.peaks.push(candidate.t);
-        this._checkCycleComplete(candidate.t);
-      }
+    if (timestamp - this.lastPeriodUpdate >= PERIOD_UPDATE_MS) {
+      this.lastPeriodUpdate = timestamp;
+      const minLag = Math.floor(60000 / this.options.maxRpm / RESAMPLE_INTERVAL_MS);
+      const maxLag = Math.ceil(60000 / this.options.minRpm / RESAMPLE_INTERVAL_MS);
+      this.period = estimatePeriod(grid.values, Math.max(minLag, 2), maxLag)?.period ?? null;
     }
+    if (!this.period) return;
 
-    if (isTrough && prominence > minProminence) {
-      const lastTrough = this.troughs[this.troughs.length - 1];
-      if (!lastTrough || candidate.t - lastTrough > 300) {
-        this.troughs.push(candidate.t);
-      }
+    const lastPeak = this.peaks[this.peaks.length - 1] ?? -Infinity;
+    const peak = findExtremum(grid, this.period, lastPeak, 1);
+    if (peak !== null) {
+      this.peaks.push(peak);
+      this._checkCycleComplete(peak);
     }
 
+    const lastTrough = this.troughs[this.troughs.length - 1] ?? -Infinity;
+    const trough = findExtremum(grid, this.period, lastTrough, -1);
+    if (trough !== null) this.troughs.push(trough);
+
     // Trim old peaks/troughs
-    const oldCutoff = timestamp - WINDOW_DURATION_MS * 2;
+    const oldCutoff = timestamp - this.windowMs * 2;
     while (this.peaks.length > 0 && this.peaks[0] < oldCutoff) this.peaks.shift();
     while (this.troughs.length > 0 && this.troughs[0] < oldCutoff) this.troughs.shift();
   }
 
-  _smoothY(idx) {
-    const samples = this.samples;
-    const radius = 2;
-    let sum = 0;
-    let count = 0;
-    for (let i = Math.max(0, idx - radius); i <= Math.min(samples.length - 1, idx + radius); i++) {
-      sum += samples[i].y;
-      count++;
-    }
-    return sum / count;
-  }
-
   _checkCycleComplete(peakTime) {
+    // Frames up to the refined peak time belong to the cycle that just ended
+    const split = this.currentCycleFrames.findIndex((f) => f.t > peakTime);
+    const cycleFrames = split === -1 ? this.currentCycleFrames : this.currentCycleFrames.slice(0, split);
+    this.currentCycleFrames = split === -1 ? [] : this.currentCycleFrames.slice(split);
+
     if (this.peaks.length < 2) return;
 
     // A cycle is peak-to-peak
@@ -135,26 +490,24 @@ export class CadenceDetector {
 
     // Check if period corresponds to reasonable cadence
     const rpm = 60000 / period;
-    if (rpm < MIN_CADENCE_RPM || rpm > MAX_CADENCE_RPM) return;
+    if (rpm < this.options.minRpm || rpm > this.options.maxRpm) return;
 
     this.cycleCount++;
     this.lastCycleTime = peakTime;
 
-    // Extract per-cycle angle summary
-    const cycleAngles = this.currentCycleAngles;
-    this.currentCycleAngles = [];
+    if (cycleFrames.length > 0) {
+      const frames = cycleFrames.map((f) => f.angles);
+      const pedals = frames.map(pedalPoint).filter(Boolean);
+      const path = pedals.length >= frames.length / 2 ? fitCrankPath(pedals) : null;
+      const lastPedal = pedalPoint(frames[frames.length - 1]);
 
-    if (cycleAngles.length > 0) {
       const summary = {
         cycleNumber: this.cycleCount,
         timestamp: peakTime,
         rpm: Math.round(rpm),
-        angles: {
-          knee: { max: Math.max(...cycleAngles.map((a) => a.knee)) },
-          hip: { min: Math.min(...cycleAngles.map((a) => a.hip)) },
-          torso: { avg: cycleAngles.reduce((s, a) => s + a.torso, 0) / cycleAngles.length },
-          elbow: { avg: cycleAngles.reduce((s, a) => s + a.elbow, 0) / cycleAngles.length },
-        },
+        phase: path && lastPedal ? Math.round(crankPhase(lastPedal, path)) : null,
+        angles: summarizeCycle(frames, path),
+        series: cycleSeries(cycleFrames, prevPeak, peakTime, path),
       };
 
       if (this.onCycleCallback) {
@@ -182,6 +535,6 @@ export class CadenceDetector {
     const avgPeriod = periods.reduce((s, p) => s + p, 0) / periods.length;
     const maxVariation = Math.max(...periods.map((p) => Math.abs(p - avgPeriod) / avgPeriod));
 
-    this.isSteady = maxVariation < MAX_PERIOD_VARIATION;
+    this.isSteady = maxVariation < this.options.stabilityTolerance;
   }
 }
@@ -0,0 +1,164 @@
+import { median } from "./stats.js";
+
+// Known dimensions the image can be scaled against. Crank length needs no
+// clicks: the pedal traces a circle of twice the crank length every stroke.
+export const REFERENCES = {
+  crank: { label: "Crank length", defaultMm: 172.5, needsPoints: false },
+  wheel: { label: "Wheel diameter (outer, incl. tyre)", defaultMm: 672, needsPoints: true },
+  marker: { label: "Reference marker", defaultMm: 500, needsPoints: true },
+};
+
+const SEGMENT_LABELS = { thigh: "Thigh", shank: "Shank", torso: "Torso", arm: "Arm" };
+
+/**
+ * Distance between two clicked image points in aspect-corrected units
+ * (the same units computeAngles and computeSetback work in).
+ * @param {Array} points - two { x, y } points in normalized image coords
+ * @param {number} aspectRatio - video width / height
+ */
+export function pointDistance([a, b], aspectRatio) {
+  return Math.hypot((b.x - a.x) * aspectRatio, b.y - a.y);
+}
+
+/**
+ * Millimetres per aspect-corrected unit for a session.
+ * @param {Object} calibration - { reference, lengthMm, distance } where distance is
+ *   the clicked reference length (unused for "crank")
+ * @param {Array} cycles - cycle summaries, used for crank calibration
+ * @returns {number|null} null if the reference couldn't be measured
+ */
+export function resolveScale(calibration, cycles) {
+  if (!calibration?.lengthMm) return null;
+
+  if (calibration.reference === "crank") {
+    const diameters = cycles.map((c) => c.angles.pedalCircle?.diameter).filter(Boolean);
+    if (diameters.length === 0) return null;
+    return (2 * calibration.lengthMm) / median(diameters);
+  }
+
+  return calibration.distance ? calibration.lengthMm / calibration.distance : null;
+}
+
+/**
+ * Median segment lengths over all cycles, in millimetres.
+ * @returns {Object|null} { thigh, shank, torso, arm }
+ */
+export function measureSegments(cycles, mmPerUnit) {
+  const perCycle = cycles.map((c) => c.angles.segments).filter(Boolean);
+  if (perCycle.length === 0) return null;
+
+  return Object.fromEntries(
+    Object.keys(SEGMENT_LABELS).map((key) => [key, median(perCycle.map((s) => s[key])) * mmPerUnit])
+  );
+}
+
+/**
+ * Hip-to-ankle distance for a knee angle, from the thigh/shank triangle.
+ */
+function legReach(thigh, shank, kneeDeg) {
+  const rad = (kneeDeg * Math.PI) / 180;
+  return Math.sqrt(thigh ** 2 + shank ** 2 - 2 * thigh * shank * Math.cos(rad));
+}
+
+/**
+ * Estimate the saddle change (in mm) that would move each out-of-range,
+ * saddle-driven metric to the middle of its target range.
+ * Saddle height moves the hip relative to the pedal roughly one-to-one, so the
+ * knee estimate is the change in hip–ankle distance between the measured and
+ * target knee angle. Setback moves the knee fore/aft by the same amount.
+ * At top dead centre the thigh is close to horizontal, so raising the saddle or
+ * sliding it back swings the thigh about the knee: the hip angle opens by
+ * roughly the hip displacement over the thigh length (in radians).
+ * @param {Array} results - analyzeSession() results
+ * @param {Object} segments - measureSegments() output
+ * @returns {Object} metric key → suggestion text
+ */
+export function estimateAdjustments(results, segments) {
+  const adjustments = {};
+  for (const rec of results) {
+    if (rec.status === "green") continue;
+    const target = (rec.targetMin + rec.targetMax) / 2;
+
+    if (rec.key === "knee") {
+      const mm = Math.round(legReach(segments.thigh, segments.shank, target) - legReach(segments.thigh, segments.shank, rec.avg));
+      if (mm !== 0) adjustments.knee = `${mm > 0 ? "Raise" : "Lower"} the saddle by about ${Math.abs(mm)} mm.`;
+    }
+
+    if (rec.key === "hip") {
+      const mm = Math.round((((target - rec.avg) * Math.PI) / 180) * segments.thigh);
+      if (mm !== 0) {
+        adjustments.hip = mm > 0
+          ? `Raise the saddle or move it back by about ${mm} mm to open the hip.`
+          : `Lower the saddle or move it forward by about ${-mm} mm to close the hip.`;
+      }
+    }
+
+    if (rec.key === "kops") {
+      const mm = Math.round(((rec.avg - target) / 100) * segments.thigh);
+      if (mm !== 0) adjustments.kops = `Move the saddle ${mm > 0 ? "back" : "forward"} by about ${Math.abs(mm)} mm along the rails.`;
+    }
+  }
+  return adjustments;
+}
+
+/**
+ * Render the segment lengths panel above the recommendation cards.
+ * @param {Object|null} measurements - { segments, calibration } or null to hide the panel
+ */
+export function renderMeasurements(measurements) {
+  const container = document.getElementById("measurements");
+  if (!measurements?.segments) {
+    container.hidden = true;
+    return;
+  }
+
+  const { segments, calibration } = measurements;
+  const items = Object.entries(SEGMENT_LABELS)
+    .map(([key, label]) => `<span class="measurements__item">${label} <strong>${Math.round(segments[key])} mm</strong></span>`)
+    .join("");
+
+  container.innerHTML = `
+    <div class="measurements__items">${items}</div>
+    <div class="measurements__source">Scaled from ${REFERENCES[calibration.reference].label.toLowerCase()} of ${calibration.lengthMm} mm. Estimates only — confirm with a tape measure before adjusting.</div>
+  `;
+  container.hidden = false;
+}
+
+/**
+ * Camera roll from two image points that are level in the real world
+ * (both wheel axles, or two points on the floor).
+ * @param {Array} points - two { x, y } points in normalized image coords
+ * @param {number} aspectRatio - video width / height
+ * @returns {number} degrees a true horizontal makes in the image, + = right end lower
+ */
+export function tiltFromPoints([a, b], aspectRatio) {
+  let dx = (b.x - a.x) * aspectRatio;
+  let dy = b.y - a.y;
+  if (dx < 0) {
+    dx = -dx;
+    dy = -dy;
+  }
+  return (Math.atan2(dy, dx) * 180) / Math.PI;
+}
+
+/**
+ * Camera roll from a DeviceOrientation reading, for when the phone running the
+ * app is also the camera. Gravity is projected into screen coordinates so the
+ * result holds in portrait and landscape.
+ * @param {number} beta - deviceorientation beta in degrees
+ * @param {number} gamma - deviceorientation gamma in degrees
+ * @param {number} screenAngle - screen.orientation.angle in degrees
+ * @returns {number} degrees, same convention as tiltFromPoints()
+ */
+export function tiltFromOrientation(beta, gamma, screenAngle = 0) {
+  const rad = Math.PI / 180;
+  // Gravity in device coordinates (x right, y towards the top of the device)
+  const gx = Math.cos(beta * rad) * Math.sin(gamma * rad);
+  const gy = -Math.sin(beta * rad);
+  // Rotate into screen coordinates (x right, y up)
+  const cos = Math.cos(screenAngle * rad);
+  const sin = Math.sin(screenAngle * rad);
+  const sx = gx * cos - gy * sin;
+  const sy = gx * sin + gy * cos;
+  return Math.atan2(-sx, -sy) / rad;
+}
@@ -3,9 +3,30 @@ const CHART_CONFIGS = {
   hip: { label: "Hip Angle (°)", min: 20, max: 100, targetMin: 45, targetMax: 60, margin: 10 },
   torso: { label: "Torso Angle (°)", min: 10, max: 80, targetMin: 30, targetMax: 55, margin: 10 },
   elbow: { label: "Elbow Angle (°)", min: 100, max: 180, targetMin: 145, targetMax: 170, margin: 10 },
+  ankle: { label: "Ankle Range (°)", min: 0, max: 60, targetMin: 15, targetMax: 30, margin: 10 },
+  kops: { label: "Knee Over Pedal (% thigh)", yTitle: "% of thigh length", min: -30, max: 30, targetMin: -5, targetMax: 5, margin: 10 },
+  hipRock: { label: "Hip Rocking (% thigh)", yTitle: "% of thigh length", min: 0, max: 30, targetMin: 0, targetMax: 6, margin: 10 },
+  trackLeft: { label: "Left Knee Tracking (% leg)", yTitle: "% of leg length", min: -20, max: 20, targetMin: -5, targetMax: 5, margin: 10 },
+  trackRight: { label: "Right Knee Tracking (% leg)", yTitle: "% of leg length", min: -20, max: 20, targetMin: -5, targetMax: 5, margin: 10 },
 };
 
+const ANGLE_EXTRACTORS = {
+  knee: (c) => c.angles.positions?.bdc?.knee ?? c.angles.knee?.max,
+  hip: (c) => c.angles.positions?.tdc?.hip ?? c.angles.hip?.min,
+  torso: (c) => c.angles.torso?.avg,
+  elbow: (c) => c.angles.elbow?.avg,
+  ankle: (c) => c.angles.ankle?.range,
+  kops: (c) => c.angles.kops?.ratio,
+  hipRock: (c) => c.angles.hipRock?.amplitude,
+  trackLeft: (c) => c.angles.trackLeft?.avg,
+  trackRight: (c) => c.angles.trackRight?.avg,
+};
+
+const COMPARE_COLOR = "#f97316";
+const HIGHLIGHT_COLOR = "#f8fafc";
+
 const charts = {};
+let cycleSelectCallback = null;
 
 /**
  * Initialize all 4 charts. Call once after Chart.js is loaded.
@@ -37,6 +58,10 @@ export function initCharts() {
         maintainAspectRatio: true,
         aspectRatio: 2,
         animation: { duration: 200 },
+        onClick: (event, elements, chart) => selectCycle(chart, event),
+        onHover: (event, elements, chart) => {
+          chart.canvas.style.cursor = cycleSelectCallback && chart.data.labels.length > 0 ? "pointer" : "";
+        },
         scales: {
           x: {
             title: { display: true, text: "Cycle #", color: "#94a3b8" },
@@ -46,13 +71,13 @@ export function initCharts() {
           y: {
             min: config.min,
             max: config.max,
-            title: { display: true, text: "Degrees", color: "#94a3b8" },
+            title: { display: true, text: config.yTitle || "Degrees", color: "#94a3b8" },
             ticks: { color: "#94a3b8" },
             grid: { color: "rgba(148, 163, 184, 0.1)" },
           },
         },
         plugins: {
-          legend: { display: false },
+          legend: { display: false, labels: { color: "#94a3b8", boxHeight: 2 } },
           annotation: {
             annotations: {
               redLow: {
@@ -98,6 +123,49 @@ export function initCharts() {
   }
 }
 
+/**
+ * Report the cycle nearest a click on the x axis. Comparison overlays plot
+ * positions within each session rather than cycle numbers, so they're ignored.
+ */
+function selectCycle(chart, event) {
+  if (!cycleSelectCallback || chart.data.datasets.length > 1) return;
+  const [element] = chart.getElementsAtEventForMode(event, "index", { intersect: false }, true);
+  if (element) cycleSelectCallback(chart.data.labels[element.index]);
+}
+
+/**
+ * Call callback(cycleNumber) when a point on any cycle chart is clicked.
+ * Pass null to stop.
+ */
+export function onCycleSelect(callback) {
+  cycleSelectCallback = callback;
+}
+
+/**
+ * Mark one cycle on every cycle chart with a vertical line, or clear the mark with null.
+ */
+export function highlightCycle(cycleNumber) {
+  for (const chart of Object.values(charts)) {
+    const annotations = chart.options.plugins.annotation.annotations;
+    const index = cycleNumber === null || chart.data.datasets.length > 1 ? -1 : chart.data.labels.indexOf(cycleNumber);
+    if (index === -1) {
+      if (!annotations.current) continue;
+      delete annotations.current;
+    } else {
+      if (annotations.current?.xMin === index) continue;
+      annotations.current = { type: "line", xMin: index, xMax: index, borderColor: HIGHLIGHT_COLOR, borderWidth: 2 };
+    }
+    chart.update("none");
+  }
+}
+
+/**
+ * Round a cycle value for plotting; missing values become null so Chart.js leaves a gap.
+ */
+function toPoint(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
 /**
  * Get the color for a data point based on whether it's in range.
  */
@@ -121,24 +189,28 @@ export function addDataPoint(angleKey, cycleNumber, value) {
   const color = getPointColor(value, config.targetMin, config.targetMax, config.margin);
 
   chart.data.labels.push(cycleNumber);
-  chart.data.datasets[0].data.push(Math.round(value * 10) / 10);
+  chart.data.datasets[0].data.push(toPoint(value));
   chart.data.datasets[0].pointBackgroundColor.push(color);
   chart.update();
 }
 
+/**
+ * Add one completed cycle to every chart. Metrics the cycle doesn't record
+ * (e.g. the other camera view's) are added as gaps to keep charts aligned.
+ * @param {Object} summary - cycle summary from the cadence detector
+ */
+export function addCycleData(summary) {
+  for (const [key, extractor] of Object.entries(ANGLE_EXTRACTORS)) {
+    addDataPoint(key, summary.cycleNumber, extractor(summary) ?? null);
+  }
+}
+
 /**
  * Rebuild all charts from trimmed cycle data (after removing anomalous tail cycles).
  * @param {Array} cycleData - the cleaned cycle summaries
  */
 export function rebuildCharts(cycleData) {
-  const angleExtractors = {
-    knee: (c) => c.angles.knee.max,
-    hip: (c) => c.angles.hip.min,
-    torso: (c) => c.angles.torso.avg,
-    elbow: (c) => c.angles.elbow.avg,
-  };
-
-  for (const [key, extractor] of Object.entries(angleExtractors)) {
+  for (const [key, extractor] of Object.entries(ANGLE_EXTRACTORS)) {
     const chart = charts[key];
     if (!chart) continue;
     const config = CHART_CONFIGS[key];
@@ -147,7 +219,7 @@ export function rebuildCharts(cycleData) {
     const data = [];
     const colors = [];
     for (const cycle of cycleData) {
-      const value = Math.round(extractor(cycle) * 10) / 10;
+      const value = toPoint(extractor(cycle));
       labels.push(cycle.cycleNumber);
       data.push(value);
       colors.push(getPointColor(value, config.targetMin, config.targetMax, config.margin));
@@ -156,10 +228,82 @@ export function rebuildCharts(cycleData) {
     chart.data.labels = labels;
     chart.data.datasets[0].data = data;
     chart.data.datasets[0].pointBackgroundColor = colors;
+    delete chart.options.plugins.annotation.annotations.current;
+    chart.update();
+  }
+}
+
+/**
+ * Overlay two sessions on every chart. Cycles are plotted by their position
+ * within each session so series of different lengths line up from the start.
+ * @param {Array} beforeCycles - baseline session cycle summaries
+ * @param {Array} afterCycles - session after the adjustment (drawn with status colors)
+ */
+export function showComparison(beforeCycles, afterCycles) {
+  const count = Math.max(beforeCycles.length, afterCycles.length);
+  const labels = Array.from({ length: count }, (_, i) => i + 1);
+
+  for (const [key, extractor] of Object.entries(ANGLE_EXTRACTORS)) {
+    const chart = charts[key];
+    if (!chart) continue;
+    const config = CHART_CONFIGS[key];
+
+    const after = afterCycles.map((c) => toPoint(extractor(c)));
+    const before = beforeCycles.map((c) => toPoint(extractor(c)));
+
+    chart.data.labels = labels;
+    const ds = chart.data.datasets[0];
+    ds.label = "After";
+    ds.data = after;
+    ds.pointBackgroundColor = after.map((v) => getPointColor(v, config.targetMin, config.targetMax, config.margin));
+
+    chart.data.datasets[1] = {
+      label: "Before",
+      data: before,
+      borderColor: COMPARE_COLOR,
+      backgroundColor: COMPARE_COLOR,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 3,
+      pointBackgroundColor: COMPARE_COLOR,
+      tension: 0.2,
+      fill: false,
+    };
+
+    delete chart.options.plugins.annotation.annotations.current;
+    chart.options.plugins.legend.display = true;
+    chart.options.scales.x.title.text = "Cycle # (within session)";
     chart.update();
   }
 }
 
+/**
+ * Remove the comparison overlay. Call rebuildCharts() afterwards to restore
+ * the single-session series.
+ */
+export function clearComparison() {
+  for (const [key, chart] of Object.entries(charts)) {
+    chart.data.datasets.length = 1;
+    chart.data.datasets[0].label = CHART_CONFIGS[key].label;
+    chart.options.plugins.legend.display = false;
+    chart.options.scales.x.title.text = "Cycle #";
+    chart.update();
+  }
+}
+
+/**
+ * Render charts to static PNGs (e.g. for the printable report).
+ * @param {Array} keys - which charts to render (defaults to all)
+ * @returns {Array} [{ key, title, image }] where image is a data URL
+ */
+export function getChartImages(keys = Object.keys(charts)) {
+  return keys.filter((key) => charts[key]).map((key) => ({
+    key,
+    title: CHART_CONFIGS[key].label,
+    image: charts[key].toBase64Image("image/png", 1),
+  }));
+}
+
 /**
  * Reset all charts to empty state.
  */
@@ -168,6 +312,7 @@ export function resetCharts() {
     chart.data.labels = [];
     chart.data.datasets[0].data = [];
     chart.data.datasets[0].pointBackgroundColor = [];
+    delete chart.options.plugins.annotation.annotations.current;
     chart.update();
   }
 }
@@ -196,6 +341,13 @@ export function updateChartRanges(ranges) {
     ann.yellowHigh.yMax = targetMax + config.margin;
     ann.redHigh.yMin = targetMax + config.margin;
 
+    // Widen the axis for presets whose band falls outside it (e.g. TT elbows)
+    const y = chart.options.scales.y;
+    y.min = Math.min(config.min, targetMin - config.margin);
+    y.max = Math.max(config.max, targetMax + config.margin);
+    ann.redLow.yMin = y.min;
+    ann.redHigh.yMax = y.max;
+
     // Recolor existing data points
     const ds = chart.data.datasets[0];
     ds.pointBackgroundColor = ds.data.map((v) =>
@@ -204,4 +356,315 @@ export function updateChartRanges(ranges) {
 
     chart.update();
   }
+
+  // Profile target bands read CHART_CONFIGS, so redraw them
+  if (profileCycles) renderProfiles(profileCycles);
+}
+
+// --- Smoothing debug view ---
+const DEBUG_WINDOW_MS = 5000;
+let debugChart = null;
+
+/**
+ * Create the raw-vs-filtered debug chart. A live, scrolling line chart of one
+ * metric per frame, with no target bands.
+ */
+export function initSmoothingDebug() {
+  const canvas = document.getElementById("smoothingDebugChart");
+  const series = (label, color, dash = []) => ({
+    label,
+    data: [],
+    borderColor: color,
+    borderWidth: 1.5,
+    borderDash: dash,
+    pointRadius: 0,
+    tension: 0,
+    fill: false,
+  });
+
+  debugChart = new Chart(canvas, {
+    type: "line",
+    data: { datasets: [series("Raw", "#94a3b8", [4, 3]), series("Filtered", "#3b82f6")] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: 4,
+      animation: false,
+      parsing: false,
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: "Seconds", color: "#94a3b8" },
+          ticks: { color: "#94a3b8" },
+          grid: { color: "rgba(148, 163, 184, 0.1)" },
+        },
+        y: {
+          title: { display: true, text: "Degrees", color: "#94a3b8" },
+          ticks: { color: "#94a3b8" },
+          grid: { color: "rgba(148, 163, 184, 0.1)" },
+        },
+      },
+      plugins: {
+        legend: { display: true, labels: { color: "#94a3b8", boxHeight: 2 } },
+        annotation: { annotations: {} },
+      },
+    },
+  });
+}
+
+/**
+ * Append one frame to the debug chart, dropping points older than DEBUG_WINDOW_MS.
+ * @param {number} timestamp - frame time in ms
+ * @param {number|null} raw - metric from unfiltered landmarks
+ * @param {number|null} filtered - metric from smoothed landmarks
+ * @param {string} yTitle - axis title for the metric shown
+ */
+export function addSmoothingSample(timestamp, raw, filtered, yTitle = "Degrees") {
+  if (!debugChart) return;
+
+  const [rawSet, filteredSet] = debugChart.data.datasets;
+  const x = timestamp / 1000;
+  rawSet.data.push({ x, y: toPoint(raw) });
+  filteredSet.data.push({ x, y: toPoint(filtered) });
+
+  const cutoff = x - DEBUG_WINDOW_MS / 1000;
+  for (const ds of [rawSet, filteredSet]) {
+    while (ds.data.length > 0 && ds.data[0].x < cutoff) ds.data.shift();
+  }
+
+  debugChart.options.scales.x.min = cutoff;
+  debugChart.options.scales.x.max = x;
+  debugChart.options.scales.y.title.text = yTitle;
+  debugChart.update("none");
+}
+
+/**
+ * Clear the debug chart.
+ */
+export function resetSmoothingDebug() {
+  if (!debugChart) return;
+  for (const ds of debugChart.data.datasets) ds.data = [];
+  debugChart.update("none");
+}
+
+// --- Stroke profiles ---
+// targetAt limits the target band to where the metric is defined (knee at BDC,
+// hip at TDC); other targets span the whole stroke. Ankle has no band because
+// its target is a range of motion, not an angle.
+const PROFILE_CONFIGS = {
+  knee: { label: "Knee Angle (°)", min: 60, max: 180, target: "knee", targetAt: "bdc" },
+  hip: { label: "Hip Angle (°)", min: 20, max: 120, target: "hip", targetAt: "tdc" },
+  torso: { label: "Torso Angle (°)", min: 10, max: 80, target: "torso" },
+  elbow: { label: "Elbow Angle (°)", min: 100, max: 180, target: "elbow" },
+  ankle: { label: "Ankle Angle (°)", min: 60, max: 180, target: null },
+  trackLeft: { label: "Left Knee Tracking (% leg)", yTitle: "% of leg length", min: -20, max: 20, target: "trackLeft" },
+  trackRight: { label: "Right Knee Tracking (% leg)", yTitle: "% of leg length", min: -20, max: 20, target: "trackRight" },
+};
+
+const PROFILE_POINTS = 51; // 0%, 2%, ... 100% of the stroke
+const MARKER_HALF_WIDTH = 5; // % of stroke either side of TDC/BDC for a position target
+
+const profileCharts = {};
+let profileCycles = null;
+
+/**
+ * Progress (0–1) of the frame closest to a crank phase, or null if the cycle has no phase.
+ */
+function progressAtPhase(series, target) {
+  let best = -1;
+  let bestDist = Infinity;
+  for (let i = 0; i < series.phase.length; i++) {
+    if (series.phase[i] === null) continue;
+    const d = Math.abs(series.phase[i] - target) % 360;
+    const dist = Math.min(d, 360 - d);
+    if (dist < bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  }
+  return best === -1 ? null : series.progress[best];
+}
+
+/**
+ * Interpolate one cycle's values onto the profile grid. Progress is shifted so
+ * 0% is TDC and wraps around, as a pedal stroke does.
+ */
+function resampleCycle(series, key, offset) {
+  const points = series.progress
+    .map((p, i) => ({ x: (((p - offset) % 1) + 1) % 1, y: series[key][i] }))
+    .filter((p) => p.y !== null)
+    .sort((a, b) => a.x - b.x);
+  if (points.length < 4) return null;
+
+  // Pad with the neighbouring strokes so interpolation wraps at 0% and 100%
+  const padded = [
+    { ...points[points.length - 1], x: points[points.length - 1].x - 1 },
+    ...points,
+    { ...points[0], x: points[0].x + 1 },
+  ];
+  const values = [];
+  let j = 0;
+  for (let i = 0; i < PROFILE_POINTS; i++) {
+    const x = i / (PROFILE_POINTS - 1);
+    while (j < padded.length - 2 && padded[j + 1].x < x) j++;
+    const a = padded[j];
+    const b = padded[j + 1];
+    const f = b.x > a.x ? (x - a.x) / (b.x - a.x) : 0;
+    values.push(a.y + f * (b.y - a.y));
+  }
+  return values;
+}
+
+/**
+ * Average all cycles' curves for one metric.
+ * @returns {Object|null} { mean, sd, tdc, bdc } where tdc/bdc are % of stroke (or null)
+ */
+function strokeProfile(cycles, key) {
+  const curves = [];
+  const bdcs = [];
+  let phased = false;
+  for (const { series } of cycles) {
+    if (!series?.[key]) continue;
+    const tdc = progressAtPhase(series, 0);
+    const bdc = progressAtPhase(series, 180);
+    phased ||= tdc !== null;
+    const curve = resampleCycle(series, key, tdc ?? 0);
+    if (!curve) continue;
+    curves.push(curve);
+    if (tdc !== null && bdc !== null) bdcs.push((((bdc - tdc) % 1) + 1) % 1);
+  }
+  if (curves.length === 0) return null;
+
+  const mean = [];
+  const sd = [];
+  for (let i = 0; i < PROFILE_POINTS; i++) {
+    const values = curves.map((c) => c[i]);
+    const avg = values.reduce((s, v) => s + v, 0) / values.length;
+    mean.push(avg);
+    sd.push(Math.sqrt(values.reduce((s, v) => s + (v - avg) ** 2, 0) / values.length));
+  }
+  const bdc = bdcs.length ? (bdcs.reduce((s, v) => s + v, 0) / bdcs.length) * 100 : null;
+  return { mean, sd, tdc: phased ? 0 : null, bdc };
+}
+
+/**
+ * Create the stroke profile charts. Call once after Chart.js is loaded.
+ */
+export function initProfileCharts() {
+  for (const [key, config] of Object.entries(PROFILE_CONFIGS)) {
+    const canvas = document.getElementById(`profile-${key}`);
+    const band = (label) => ({
+      label,
+      data: [],
+      borderWidth: 0,
+      pointRadius: 0,
+      backgroundColor: "rgba(59, 130, 246, 0.2)",
+    });
+    profileCharts[key] = new Chart(canvas, {
+      type: "line",
+      data: {
+        datasets: [
+          { ...band("+1 SD"), fill: "+1" },
+          { ...band("−1 SD"), fill: false },
+          { label: "Mean", data: [], borderColor: "#3b82f6", borderWidth: 2, pointRadius: 0, tension: 0.3, fill: false },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: 2,
+        animation: false,
+        scales: {
+          x: {
+            type: "linear",
+            min: 0,
+            max: 100,
+            title: { display: true, text: "% of pedal stroke", color: "#94a3b8" },
+            ticks: { color: "#94a3b8", stepSize: 25 },
+            grid: { color: "rgba(148, 163, 184, 0.1)" },
+          },
+          y: {
+            min: config.min,
+            max: config.max,
+            title: { display: true, text: config.yTitle || "Degrees", color: "#94a3b8" },
+            ticks: { color: "#94a3b8" },
+            grid: { color: "rgba(148, 163, 184, 0.1)" },
+          },
+        },
+        plugins: {
+          legend: { display: false },
+          annotation: { annotations: {} },
+        },
+      },
+    });
+  }
+}
+
+function markerLine(x, label) {
+  return {
+    type: "line",
+    xMin: x,
+    xMax: x,
+    borderColor: "rgba(148, 163, 184, 0.6)",
+    borderWidth: 1,
+    borderDash: [4, 4],
+    label: { display: true, content: label, position: "start", color: "#f1f5f9", backgroundColor: "rgba(15, 23, 42, 0.8)", font: { size: 10 } },
+  };
+}
+
+/**
+ * Plot the mean ±1 SD angle curve over the pedal stroke for every metric.
+ * Cycles without per-frame series (sessions saved before profiles existed) are skipped.
+ * @param {Array} cycles - cycle summaries with `series`
+ * @returns {boolean} whether any profile could be drawn
+ */
+export function renderProfiles(cycles) {
+  profileCycles = cycles;
+  let drawn = false;
+
+  for (const [key, config] of Object.entries(PROFILE_CONFIGS)) {
+    const chart = profileCharts[key];
+    if (!chart) continue;
+    const profile = strokeProfile(cycles, key);
+    const xs = Array.from({ length: PROFILE_POINTS }, (_, i) => (i / (PROFILE_POINTS - 1)) * 100);
+    const [upper, lower, mean] = chart.data.datasets;
+    upper.data = profile ? xs.map((x, i) => ({ x, y: toPoint(profile.mean[i] + profile.sd[i]) })) : [];
+    lower.data = profile ? xs.map((x, i) => ({ x, y: toPoint(profile.mean[i] - profile.sd[i]) })) : [];
+    mean.data = profile ? xs.map((x, i) => ({ x, y: toPoint(profile.mean[i]) })) : [];
+
+    const annotations = {};
+    if (profile?.tdc !== null && profile?.tdc !== undefined) annotations.tdc = markerLine(profile.tdc, "TDC");
+    if (profile?.bdc !== null && profile?.bdc !== undefined) annotations.bdc = markerLine(profile.bdc, "BDC");
+    chart.options.scales.y.min = config.min;
+    chart.options.scales.y.max = config.max;
+    if (profile && config.target) {
+      const { targetMin, targetMax, margin } = CHART_CONFIGS[config.target];
+      chart.options.scales.y.min = Math.min(config.min, targetMin - margin);
+      chart.options.scales.y.max = Math.max(config.max, targetMax + margin);
+      const at = config.targetAt && profile[config.targetAt];
+      // Position-specific targets need the crank phase; without it there's nowhere to draw them
+      if (!config.targetAt || (at !== null && at !== undefined)) {
+        annotations.target = {
+          type: "box",
+          yMin: targetMin,
+          yMax: targetMax,
+          ...(config.targetAt ? { xMin: Math.max(0, at - MARKER_HALF_WIDTH), xMax: Math.min(100, at + MARKER_HALF_WIDTH) } : {}),
+          backgroundColor: "rgba(34, 197, 94, 0.15)",
+          borderWidth: 0,
+        };
+      }
+    }
+    chart.options.plugins.annotation.annotations = annotations;
+    chart.update();
+    drawn ||= Boolean(profile);
+  }
+  return drawn;
+}
+
+/**
+ * Clear all stroke profiles.
+ */
+export function resetProfiles() {
+  renderProfiles([]);
+  profileCycles = null;
 }
@@ -0,0 +1,128 @@
+const EXPORT_FORMAT = "openbikefit-session";
+const EXPORT_VERSION = 13;
+
+const CYCLE_COLUMNS = ["cycleNumber", "timestamp", "rpm", "crankPhase", "kneeMax", "kneeBdc", "hipMin", "hipTdc", "torsoAvg", "elbowAvg", "ankleRange", "kopsPct", "hipBouncePct", "hipSwayPct", "trackLeftPct", "trackRightPct"];
+// avg is the corrected value when the fitter overrode it; measuredAvg always holds the measurement
+const STAT_COLUMNS = ["angle", "avg", "min", "max", "std", "targetMin", "targetMax", "unit", "status", "overridden", "measuredAvg"];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+const optional = (value) => (value === null || value === undefined ? null : round1(value));
+
+/**
+ * Flatten a cycle summary from the cadence detector into one export row.
+ * Timestamps are made relative (ms since the first cycle) because the raw
+ * values come from performance.now() and mean nothing outside the page.
+ * Metrics the session's camera view doesn't record are left empty.
+ */
+function flattenCycle(cycle, startTime) {
+  const a = cycle.angles;
+  return {
+    cycleNumber: cycle.cycleNumber,
+    timestamp: Math.round(cycle.timestamp - startTime),
+    rpm: cycle.rpm,
+    crankPhase: cycle.phase ?? null,
+    kneeMax: optional(a.knee?.max),
+    kneeBdc: optional(a.positions?.bdc?.knee),
+    hipMin: optional(a.hip?.min),
+    hipTdc: optional(a.positions?.tdc?.hip),
+    torsoAvg: optional(a.torso?.avg),
+    elbowAvg: optional(a.elbow?.avg),
+    ankleRange: optional(a.ankle?.range),
+    kopsPct: optional(a.kops?.ratio),
+    hipBouncePct: optional(a.hipRock?.vertical),
+    hipSwayPct: optional(a.hipRock?.horizontal),
+    trackLeftPct: optional(a.trackLeft?.avg),
+    trackRightPct: optional(a.trackRight?.avg),
+  };
+}
+
+function csvField(value) {
+  const str = String(value ?? "");
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(",");
+}
+
+/**
+ * Build a CSV document with two tables separated by a blank line:
+ * per-cycle summaries, then per-angle statistics with their target ranges.
+ * @param {Object} session - { cycles, results, ... }
+ * @returns {string}
+ */
+export function sessionToCsv(session) {
+  const startTime = session.cycles[0]?.timestamp ?? 0;
+  const lines = [csvRow(CYCLE_COLUMNS)];
+  for (const cycle of session.cycles) {
+    const row = flattenCycle(cycle, startTime);
+    lines.push(csvRow(CYCLE_COLUMNS.map((col) => row[col])));
+  }
+
+  lines.push("");
+  lines.push(csvRow(STAT_COLUMNS));
+  for (const rec of session.results) {
+    const measured = rec.override ? rec.override.measured : rec.avg;
+    lines.push(csvRow([rec.key, rec.avg, rec.min, rec.max, rec.std, rec.targetMin, rec.targetMax, rec.unit || "°", rec.status, rec.override ? "yes" : "no", measured]));
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build a versioned JSON document for a session. Bump EXPORT_VERSION whenever
+ * the shape changes so scripts can tell documents apart.
+ * @param {Object} session - { name, rider, createdAt, view, cameraSide, tilt, preset, ranges, backend, cycles, results, measurements, simulation, corrections }
+ * @returns {string}
+ */
+export function sessionToJson(session) {
+  const startTime = session.cycles[0]?.timestamp ?? 0;
+  const doc = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      name: session.name,
+      rider: session.rider ?? null,
+      createdAt: new Date(session.createdAt).toISOString(),
+      view: session.view || "side",
+      cameraSide: session.cameraSide,
+      tiltDeg: session.tilt ?? 0,
+      preset: session.preset ?? null,
+      ranges: session.ranges,
+      backend: session.backend ?? null,
+      calibration: session.measurements?.calibration ?? null,
+      segmentsMm: session.measurements?.segments ?? null,
+      simulation: session.simulation ?? null,
+      corrections: session.corrections ?? null,
+      cycles: session.cycles.map((c) => flattenCycle(c, startTime)),
+      statistics: session.results.map(({ key, name, unit = "°", avg, min, max, std, targetMin, targetMax, status, adjustment = null, override }) => ({
+        angle: key, name, unit, avg, min, max, std, targetMin, targetMax, status, adjustment,
+        measuredAvg: override ? override.measured : avg,
+      })),
+    },
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * File name stem for a session export, e.g. "openbikefit-2024-05-01-1432".
+ */
+export function exportBaseName(session) {
+  const d = new Date(session.createdAt);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `openbikefit-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+/**
+ * Trigger a browser download of text content.
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
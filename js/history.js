@@ -0,0 +1,216 @@
+import { describeBackend } from "./backends.js";
+import { escapeHtml } from "./report.js";
+
+const DB_NAME = "openbikefit";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+// Sessions saved before rider profiles existed belong to this profile
+export const DEFAULT_PROFILE_ID = "default";
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise that resolves with its result.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("createdAt", "createdAt");
+    };
+    dbPromise = promisify(request);
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const store = db.transaction(STORE, mode).objectStore(STORE);
+  return promisify(fn(store));
+}
+
+/**
+ * Save a completed session.
+ * @param {Object} session - { name, createdAt, profileId, cameraSide, ranges, cycles, results, snapshots,
+ *   snapshotSources, corrections } where snapshots maps angle key → image Blob, snapshotSources
+ *   holds the correctable snapshots (see encodeSnapshotSources()) and corrections maps angle
+ *   key → { joints, value } for landmarks corrected by hand
+ * @returns {Promise<number>} the new session id
+ */
+export function saveSession(session) {
+  return withStore("readwrite", (store) => store.add(session));
+}
+
+/**
+ * List a rider's saved sessions, newest first.
+ * @param {string} profileId - rider profile id
+ * @returns {Promise<Array>} full session records
+ */
+export async function listSessions(profileId) {
+  const sessions = await withStore("readonly", (store) => store.getAll());
+  return sessions
+    .filter((s) => (s.profileId ?? DEFAULT_PROFILE_ID) === profileId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Load one session by id.
+ */
+export function getSession(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * Merge changes into a stored session. Resolves with the updated record.
+ */
+export async function updateSession(id, changes) {
+  const session = await getSession(id);
+  if (!session) return null;
+  Object.assign(session, changes);
+  await withStore("readwrite", (store) => store.put(session));
+  return session;
+}
+
+/**
+ * Rename a session. Resolves with the updated record.
+ */
+export function renameSession(id, name) {
+  return updateSession(id, { name });
+}
+
+/**
+ * Delete a session by id.
+ */
+export function deleteSession(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Encode snapshot canvases as JPEG blobs for storage.
+ * @param {Object} canvases - angle key → canvas (or null)
+ * @returns {Promise<Object>} angle key → Blob (missing snapshots are skipped)
+ */
+export async function encodeSnapshots(canvases) {
+  const blobs = {};
+  for (const [key, canvas] of Object.entries(canvases)) {
+    if (!canvas) continue;
+    blobs[key] = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.85));
+  }
+  return blobs;
+}
+
+/**
+ * Decode stored snapshot blobs back into drawable images.
+ * @param {Object} blobs - angle key → Blob
+ * @returns {Promise<Object>} angle key → ImageBitmap
+ */
+export async function decodeSnapshots(blobs = {}) {
+  const images = {};
+  for (const [key, blob] of Object.entries(blobs)) {
+    if (blob) images[key] = await createImageBitmap(blob);
+  }
+  return images;
+}
+
+/**
+ * Encode unrendered snapshots (see captureSnapshot() in pose.js) for storage,
+ * keeping their landmarks so they can be corrected after reopening.
+ * @param {Object} snapshots - angle key → snapshot (or null)
+ * @returns {Promise<Object>} angle key → snapshot with its frame as a JPEG Blob
+ */
+export async function encodeSnapshotSources(snapshots) {
+  const frames = await encodeSnapshots(Object.fromEntries(Object.entries(snapshots).map(([key, snap]) => [key, snap?.frame])));
+  return Object.fromEntries(Object.entries(frames).map(([key, frame]) => [key, { ...snapshots[key], frame }]));
+}
+
+/**
+ * Decode stored snapshots from encodeSnapshotSources().
+ * @returns {Promise<Object>} angle key → snapshot with its frame as an ImageBitmap
+ */
+export async function decodeSnapshotSources(stored = {}) {
+  const frames = await decodeSnapshots(Object.fromEntries(Object.entries(stored).map(([key, snap]) => [key, snap.frame])));
+  return Object.fromEntries(Object.entries(frames).map(([key, frame]) => [key, { ...stored[key], frame }]));
+}
+
+/**
+ * Render the session list into the history panel.
+ * @param {Array} sessions - records from listSessions()
+ * @param {Object} handlers - { onOpen(id), onRename(id, name), onDelete(id) }, each
+ *   returning a promise; a rejection is shown on the session's entry, and a
+ *   rejected rename restores the old name
+ */
+export function renderHistoryList(sessions, { onOpen, onRename, onDelete }) {
+  const container = document.getElementById("historyList");
+  container.innerHTML = "";
+
+  if (sessions.length === 0) {
+    container.innerHTML = `<p class="history-empty">No saved sessions yet. Completed analyses are saved here automatically.</p>`;
+    return;
+  }
+
+  for (const session of sessions) {
+    const item = document.createElement("div");
+    item.className = "history-item";
+
+    const preset = session.preset
+      ? ` · ${escapeHtml(session.preset.label)}${session.preset.modified ? " (modified)" : ""}`
+      : "";
+    const backend = session.backend ? ` · ${escapeHtml(describeBackend(session.backend))}` : "";
+    const dots = (session.results || [])
+      .map((r) => `<span class="history-item__dot history-item__dot--${r.status}" title="${r.name}"></span>`)
+      .join("");
+
+    item.innerHTML = `
+      <div class="history-item__main">
+        <input class="history-item__name" type="text" aria-label="Session name">
+        <div class="history-item__meta">
+          ${new Date(session.createdAt).toLocaleString()} · ${session.cycles.length} cycles · ${session.view === "front" ? "front view" : `${session.cameraSide} side`}${preset}${backend}
+          <span class="history-item__dots">${dots}</span>
+        </div>
+        <div class="history-item__error" hidden></div>
+      </div>
+      <div class="history-item__actions">
+        <button class="btn btn--primary" data-action="open">Open</button>
+        <button class="btn btn--secondary" data-action="delete">Delete</button>
+      </div>
+    `;
+
+    const errorText = item.querySelector(".history-item__error");
+    const reportError = (action) => (err) => {
+      console.error(`Failed to ${action} session`, err);
+      errorText.textContent = `Could not ${action} this session: ${err.message}`;
+      errorText.hidden = false;
+    };
+
+    const nameInput = item.querySelector(".history-item__name");
+    nameInput.value = session.name;
+    nameInput.addEventListener("change", () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.value = session.name;
+        return;
+      }
+      const previous = session.name;
+      session.name = name;
+      onRename(session.id, name).catch((err) => {
+        session.name = previous;
+        nameInput.value = previous;
+        reportError("rename")(err);
+      });
+    });
+
+    item.querySelector('[data-action="open"]').addEventListener("click", () => onOpen(session.id).catch(reportError("open")));
+    item.querySelector('[data-action="delete"]').addEventListener("click", () => onDelete(session.id).catch(reportError("delete")));
+
+    container.appendChild(item);
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Register the service worker (sw.js) that caches the app shell. Resolves to
+ * false where service workers are unavailable, e.g. when opened from file://.
+ */
+export async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return false;
+  try {
+    await navigator.serviceWorker.register("sw.js");
+    return true;
+  } catch (err) {
+    console.warn("Service worker registration failed:", err);
+    return false;
+  }
+}
+
+/**
+ * Ask the service worker to cache the pose model and MediaPipe runtime.
+ * @param {string[]} urls - absolute URLs, see getPoseAssets()
+ * @returns {Promise<Object>} { failed: [{ url, error }] }
+ */
+export async function cacheForOffline(urls) {
+  const registration = await navigator.serviceWorker.ready;
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data);
+    registration.active.postMessage({ type: "precache", urls }, [channel.port2]);
+  });
+}
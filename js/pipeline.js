@@ -0,0 +1,148 @@
+import { computeAngles, computeSetback, computeKneeTracking, computeHipPosition, computeSegmentLengths, getKneeLandmark, detectVisibleSide, detectView, setTilt } from "./angles.js";
+import { CadenceDetector, DEFAULT_CADENCE } from "./cadence.js";
+import { LandmarkSmoother, DEFAULT_SMOOTHING } from "./smoothing.js";
+
+/**
+ * Everything computed from one frame of landmarks: smoothing, side and view
+ * detection, angles and cadence. Runs in the pose worker next to inference,
+ * so the main thread only draws the results.
+ *
+ * A session moves through three phases: "detect" (voting on side and view
+ * until pedaling is steady), "record" (measuring and summarizing cycles) and
+ * "stopped" (pedaling stopped; further frames are ignored).
+ */
+export class AnalysisPipeline {
+  /**
+   * @param {Object} settings - { smoothing, cadence, tilt }, see configure()
+   */
+  constructor(settings = {}) {
+    this.smoother = new LandmarkSmoother(DEFAULT_SMOOTHING);
+    this.cadence = new CadenceDetector(DEFAULT_CADENCE);
+    this.settings = { smoothing: DEFAULT_SMOOTHING, cadence: DEFAULT_CADENCE, tilt: 0 };
+    this.configure(settings);
+    this.reset();
+  }
+
+  /**
+   * Change any of: smoothing ({ enabled, minCutoff, beta, debug }), cadence
+   * (see DEFAULT_CADENCE) and tilt (camera roll in degrees). With
+   * smoothing.debug set, each record-phase result carries the main metric
+   * from both raw and smoothed landmarks.
+   */
+  configure({ smoothing, cadence, tilt } = {}) {
+    if (smoothing) {
+      this.settings.smoothing = smoothing;
+      this.smoother.configure(smoothing);
+    }
+    if (cadence) {
+      this.settings.cadence = cadence;
+      this.cadence.configure(cadence);
+    }
+    if (tilt !== undefined) {
+      this.settings.tilt = tilt;
+      setTilt(tilt);
+    }
+  }
+
+  /**
+   * Start a new session in the "detect" phase.
+   */
+  reset() {
+    this.phase = "detect";
+    this.side = null;
+    this.view = "side";
+    this.sideVotes = { left: 0, right: 0 };
+    this.viewVotes = { side: 0, front: 0 };
+    this.smoother.reset();
+    this.cadence.reset();
+    this.cycles = [];
+    // reset() drops the callback, so bind it again each session
+    this.cadence.onCycle((summary) => this.cycles.push(summary));
+  }
+
+  /**
+   * Analyze one frame.
+   * @param {Array} raw - MediaPipe landmarks
+   * @param {number} timestamp - frame time in ms
+   * @param {number} aspectRatio - video width / height
+   * @returns {Object} {
+   *   timestamp, raw, landmarks (smoothed), phase,
+   *   started - { side, view } on the frame where recording starts,
+   *   measurement - angles with setback, hipPos and segments (side view) or
+   *     knee tracking with hipPos (front view), null while detecting,
+   *   debug - { raw, filtered, label } when smoothing.debug is set,
+   *   cycles - cycle summaries completed by this frame (see CadenceDetector),
+   *   stopped - true on the frame where pedaling stops
+   * }
+   */
+  process(raw, timestamp, aspectRatio) {
+    const landmarks = this.smoother.filter(raw, timestamp);
+    const result = { timestamp, raw, landmarks, phase: this.phase, started: null, measurement: null, debug: null, cycles: [], stopped: false };
+
+    if (this.phase === "detect") {
+      // Accumulate side votes from landmark visibility, and view votes from body shape
+      const side = detectVisibleSide(landmarks);
+      this.sideVotes[side]++;
+      this.viewVotes[detectView(landmarks, aspectRatio)]++;
+
+      // Feed the more-visible side's knee Y to the cadence detector (no angles yet)
+      const knee = getKneeLandmark(landmarks, side);
+      if (knee) {
+        this.cadence.addSample(timestamp, knee.y, null);
+        if (this.cadence.isSteady) this.startRecording(result);
+      }
+      return result;
+    }
+
+    if (this.phase !== "record") return result;
+
+    const knee = getKneeLandmark(landmarks, this.side);
+    if (this.view === "front") {
+      const tracking = computeKneeTracking(landmarks, aspectRatio);
+      const hipPos = computeHipPosition(landmarks, "front", aspectRatio);
+      result.measurement = tracking && { ...tracking, hipPos };
+      if (this.settings.smoothing.debug) {
+        const rawTracking = computeKneeTracking(raw, aspectRatio);
+        result.debug = { raw: rawTracking?.trackLeft ?? null, filtered: tracking?.trackLeft ?? null, label: "Left knee track (%)" };
+      }
+    } else {
+      const angles = computeAngles(landmarks, this.side, aspectRatio);
+      if (angles) {
+        result.measurement = {
+          ...angles,
+          setback: computeSetback(landmarks, this.side, aspectRatio),
+          hipPos: computeHipPosition(landmarks, this.side, aspectRatio),
+          segments: computeSegmentLengths(landmarks, this.side, aspectRatio),
+        };
+      }
+      if (this.settings.smoothing.debug) {
+        const rawAngles = computeAngles(raw, this.side, aspectRatio);
+        result.debug = { raw: rawAngles?.knee ?? null, filtered: angles?.knee ?? null, label: "Knee angle (°)" };
+      }
+    }
+
+    if (knee) {
+      this.cadence.addSample(timestamp, knee.y, result.measurement);
+      result.cycles = this.cycles;
+      this.cycles = [];
+
+      if (this.cadence.hasStopped(timestamp)) {
+        this.phase = "stopped";
+        result.phase = this.phase;
+        result.stopped = true;
+      }
+    }
+    return result;
+  }
+
+  startRecording(result) {
+    // Lock in the side and view based on accumulated votes
+    this.side = this.sideVotes.left >= this.sideVotes.right ? "left" : "right";
+    this.view = this.viewVotes.front > this.viewVotes.side ? "front" : "side";
+    this.phase = "record";
+    // Cycles counted while detecting carry no angles
+    this.cycles = [];
+    result.phase = this.phase;
+    result.started = { side: this.side, view: this.view };
+  }
+}
@@ -0,0 +1,72 @@
+// Pose inference and the analysis pipeline, off the main thread. pose.js sends
+// video frames as ImageBitmaps (or recorded landmarks) and gets one result per
+// frame back, see AnalysisPipeline.process(). Frame bitmaps are transferred
+// back with their result so snapshots show exactly the analyzed frame.
+//
+// This is a classic worker rather than a module worker: MediaPipe loads its
+// WASM glue with importScripts(), which module workers lack. The app's modules
+// are loaded with dynamic import() instead.
+const modules = Promise.all([import("./backends.js"), import("./pipeline.js")]);
+
+let backend = null;
+let pipeline = null;
+// Messages are handled strictly in order, even across async backend loads
+let queue = Promise.resolve();
+
+self.onmessage = (e) => {
+  const message = e.data;
+  queue = queue
+    .then(() => handle(message))
+    .catch((err) => {
+      message.bitmap?.close();
+      self.postMessage({ type: "error", id: message.id, message: err.message });
+    });
+};
+
+async function handle(message) {
+  const [{ createBackend, benchmarkBackends }, { AnalysisPipeline }] = await modules;
+
+  switch (message.type) {
+    case "configure":
+      if (pipeline) pipeline.configure(message.settings);
+      else pipeline = new AnalysisPipeline(message.settings);
+      break;
+
+    case "reset":
+      pipeline.reset();
+      break;
+
+    case "backend": {
+      // Keep the previous backend if the new one fails to load
+      const next = await createBackend(message.config);
+      backend?.close();
+      backend = next;
+      self.postMessage({ type: "backend", id: message.id, info: backend.info });
+      break;
+    }
+
+    case "frame": {
+      const start = performance.now();
+      const raw = backend.detect(message.bitmap, message.detectTimestamp);
+      const inferenceMs = performance.now() - start;
+      const result = raw ? pipeline.process(raw, message.timestamp, message.aspectRatio) : null;
+      self.postMessage({ type: "result", id: message.id, result, inferenceMs, bitmap: message.bitmap }, [message.bitmap]);
+      break;
+    }
+
+    case "landmarks": {
+      const result = pipeline.process(message.landmarks, message.timestamp, message.aspectRatio);
+      self.postMessage({ type: "result", id: message.id, result });
+      break;
+    }
+
+    case "benchmark": {
+      const benchmark = await benchmarkBackends(message.bitmap, message.delegate, (variant) => {
+        self.postMessage({ type: "progress", id: message.id, variant });
+      });
+      message.bitmap.close();
+      self.postMessage({ type: "benchmark", id: message.id, benchmark });
+      break;
+    }
+  }
+}
@@ -1,7 +1,26 @@
-const VISION_CDN = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/wasm";
-const MODEL_URL = "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_heavy/float16/latest/pose_landmarker_heavy.task";
+import { DEFAULT_BACKEND, resolveModelUrl } from "./backends.js";
 
-let poseLandmarker = null;
+// Requested camera stream; an empty deviceId picks the rear/default camera
+export const DEFAULT_CAMERA = {
+  deviceId: "",
+  width: 1280,
+  height: 720,
+  frameRate: 30,
+};
+const FILE_SAMPLE_FPS = 30; // assumed frame rate of a video file when it can't be measured
+const FRAME_RATE_SAMPLES = 12; // frames played to measure a video file's frame rate
+const FRAME_RATE_TIMEOUT_MS = 2000;
+const SEEK_FRAME_TIMEOUT_MS = 200; // wait after "seeked" for the frame callback
+
+let backendInfo = null;
+let worker = null;
+let requestId = 0;
+const pendingRequests = new Map(); // id → { resolve, reject, onProgress }
+let analysisSettings = {}; // pipeline settings, re-sent if the worker restarts
+let inFlight = false; // a camera frame is being analyzed
+let analyzedFrame = null; // ImageBitmap of the frame behind the latest result
+let frameStats = null;
+let onStatsCallback = null;
 let videoElement = null;
 let aspectRatio = 16 / 9;
 let canvasCtx = null;
@@ -11,6 +30,17 @@ let onFrameCallback = null;
 let currentSide = "left";
 let running = false;
 let overlayVisible = false;
+let onEndCallback = null;
+let sourceType = "camera"; // "camera", "file", "replay" or "simulator"
+let fileUrl = null;
+let fileProgress = 0;
+let runId = 0;
+let lastDetectTimestamp = -1;
+let replayStream = null;
+let simulator = null;
+let videoRecorder = null; // SessionVideoRecorder fed with each analyzed frame
+
+const STATS_INTERVAL_MS = 1000;
 
 // Side-specific skeleton connections (no face, no cross-body)
 const SIDE_CONNECTIONS = {
@@ -18,22 +48,31 @@ const SIDE_CONNECTIONS = {
     [11, 13], [13, 15], // left arm
     [11, 23],           // left torso
     [23, 25], [25, 27], // left leg
+    [27, 29], [29, 31], [27, 31], // left foot
   ],
   right: [
     [12, 14], [14, 16], // right arm
     [12, 24],           // right torso
     [24, 26], [26, 28], // right leg
+    [28, 30], [30, 32], [28, 32], // right foot
+  ],
+  front: [
+    [11, 12], [23, 24], // shoulders, hips
+    [11, 23], [12, 24], // torso
+    [23, 25], [25, 27], // left leg
+    [24, 26], [26, 28], // right leg
   ],
 };
 
 // Side-specific landmark indices to draw
 const SIDE_LANDMARK_INDICES = {
-  left: new Set([11, 13, 15, 23, 25, 27]),
-  right: new Set([12, 14, 16, 24, 26, 28]),
+  left: new Set([11, 13, 15, 23, 25, 27, 29, 31]),
+  right: new Set([12, 14, 16, 24, 26, 28, 30, 32]),
+  front: new Set([11, 12, 23, 24, 25, 26, 27, 28]),
 };
 
 /**
- * Set which side's skeleton to draw.
+ * Set which skeleton to draw: "left", "right" or "front" (both legs).
  */
 export function setSide(side) {
   currentSide = side;
@@ -47,63 +86,291 @@ export function setOverlayVisible(visible) {
 }
 
 /**
- * Determine which side of the body is more visible to the camera.
- * Compares average visibility of left-side vs right-side landmarks.
+ * Feed every analyzed frame, with its overlay, to a SessionVideoRecorder.
+ * Pass null to stop.
  */
-export function detectVisibleSide(landmarks) {
-  const leftIndices = [11, 13, 15, 23, 25, 27];
-  const rightIndices = [12, 14, 16, 24, 26, 28];
-
-  const leftVis = leftIndices.reduce((sum, i) => sum + (landmarks[i]?.visibility || 0), 0);
-  const rightVis = rightIndices.reduce((sum, i) => sum + (landmarks[i]?.visibility || 0), 0);
-
-  return leftVis > rightVis ? "left" : "right";
+export function setVideoRecorder(recorder) {
+  videoRecorder = recorder;
 }
 
 /**
- * Initialize MediaPipe Pose Landmarker and webcam.
+ * Initialize the pose backend. Call useCamera() or useVideoFile() afterwards
+ * to attach a video source.
+ * @param {Object} [config] - backend config, see DEFAULT_BACKEND in backends.js
+ * @returns {Promise<Object>} info of the backend actually created
  */
-export async function initPose(video, canvas) {
+export async function initPose(video, canvas, config = DEFAULT_BACKEND) {
   videoElement = video;
   canvasElement = canvas;
   canvasCtx = canvas.getContext("2d");
+  return setBackend(config);
+}
 
-  const vision = await import("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/vision_bundle.mjs");
-  const { FilesetResolver, PoseLandmarker } = vision;
+/**
+ * Replace the pose backend, e.g. after choosing another model variant. Stop
+ * detection first; the old backend is closed once the new one is ready, and
+ * stays in use if the new one fails to load.
+ * @returns {Promise<Object>} info of the new backend
+ */
+export async function setBackend(config) {
+  const { info } = await request({ type: "backend", config: resolveModelUrl(config) });
+  backendInfo = info;
+  lastDetectTimestamp = -1;
+  return info;
+}
 
-  const filesetResolver = await FilesetResolver.forVisionTasks(VISION_CDN);
+/**
+ * Change the analysis pipeline's settings: any of { smoothing, cadence, tilt },
+ * see AnalysisPipeline.configure(). Applies from the next frame.
+ */
+export function configureAnalysis(settings) {
+  analysisSettings = { ...analysisSettings, ...settings };
+  worker?.postMessage({ type: "configure", settings });
+}
 
-  poseLandmarker = await PoseLandmarker.createFromOptions(filesetResolver, {
-    baseOptions: {
-      modelAssetPath: MODEL_URL,
-      delegate: "GPU",
-    },
-    runningMode: "VIDEO",
-    numPoses: 1,
-  });
+/**
+ * Time each model variant on the current video frame, in the worker where
+ * inference runs. Stop detection first.
+ * @returns {Promise<Object|null>} see benchmarkBackends() in backends.js, or
+ *   null when there is no video frame to test on
+ */
+export async function runBenchmark(delegate, onProgress) {
+  if (sourceType !== "camera" && sourceType !== "file") return null;
+  if (!videoElement || videoElement.readyState < 2) return null;
+  const bitmap = await createImageBitmap(videoElement);
+  const { benchmark } = await request({ type: "benchmark", bitmap, delegate }, [bitmap], onProgress);
+  return benchmark;
+}
 
-  const stream = await navigator.mediaDevices.getUserMedia({
-    video: { width: 1280, height: 720, facingMode: "environment" },
+/**
+ * The pose worker (pose-worker.js), started on first use. Inference and the
+ * analysis pipeline both run there.
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("./pose-worker.js", import.meta.url));
+    worker.onmessage = onWorkerMessage;
+    worker.onerror = (e) => {
+      // The worker script itself failed; nothing queued will be answered
+      for (const { reject } of pendingRequests.values()) reject(new Error(e.message || "Pose worker failed"));
+      pendingRequests.clear();
+    };
+    worker.postMessage({ type: "configure", settings: analysisSettings });
+  }
+  return worker;
+}
+
+function request(message, transfer = [], onProgress = null) {
+  const id = ++requestId;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ ...message, id }, transfer);
   });
+}
+
+function onWorkerMessage(e) {
+  const { type, id } = e.data;
+  const pending = pendingRequests.get(id);
+  if (!pending) return;
+  if (type === "progress") {
+    pending.onProgress?.(e.data.variant);
+    return;
+  }
+  pendingRequests.delete(id);
+  if (type === "error") pending.reject(new Error(e.data.message));
+  else pending.resolve(e.data);
+}
+
+/**
+ * What produced the current source's landmarks: the active pose backend, the
+ * backend recorded with a landmark replay, or the simulator.
+ * @returns {Object|null} { id, engine, variant, delegate, model }
+ */
+export function getBackendInfo() {
+  if (sourceType === "simulator") return { id: "simulator", engine: "simulator", label: "Simulated rider" };
+  if (sourceType === "replay") return replayStream.backend ?? null;
+  return backendInfo;
+}
+
+/**
+ * Attach the live webcam as the video source. Constraints are "ideal" values,
+ * so an unplugged camera or an unsupported mode falls back to what the browser
+ * can provide; see getCameraSettings() for what was negotiated.
+ * @param {Object} [camera] - { deviceId, width, height, frameRate }
+ */
+export async function useCamera(camera = DEFAULT_CAMERA) {
+  releaseSource();
+
+  const { deviceId, width, height, frameRate } = { ...DEFAULT_CAMERA, ...camera };
+  const video = { width: { ideal: width }, height: { ideal: height }, frameRate: { ideal: frameRate } };
+  if (deviceId) video.deviceId = { ideal: deviceId };
+  else video.facingMode = "environment";
+
+  const stream = await navigator.mediaDevices.getUserMedia({ video });
+  sourceType = "camera";
+  videoElement.autoplay = true;
   videoElement.srcObject = stream;
 
-  return new Promise((resolve) => {
+  await waitForMetadata();
+}
+
+/**
+ * List the video input devices. Labels are empty until camera permission has
+ * been granted, so call this after useCamera().
+ * @returns {Promise<Array>} [{ deviceId, label }]
+ */
+export async function listCameras() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Settings the live camera actually delivers, or null for other sources.
+ * @returns {Object|null} { deviceId, label, width, height, frameRate }
+ */
+export function getCameraSettings() {
+  const track = videoElement?.srcObject?.getVideoTracks()[0];
+  if (!track) return null;
+  const { deviceId, width, height, frameRate } = track.getSettings();
+  return { deviceId, label: track.label, width, height, frameRate };
+}
+
+/**
+ * Attach a local video file (MP4/WebM) as the video source. Frames are decoded
+ * by seeking through the file, so analysis runs as fast as inference allows.
+ * @param {File} file - the video file picked by the user
+ */
+export async function useVideoFile(file) {
+  releaseSource();
+
+  sourceType = "file";
+  fileUrl = URL.createObjectURL(file);
+  fileProgress = 0;
+  videoElement.autoplay = false;
+  videoElement.muted = true;
+  videoElement.src = fileUrl;
+
+  await waitForMetadata();
+
+  // Browser-recorded WebM often reports an infinite duration until the end is seeked
+  if (!Number.isFinite(videoElement.duration)) {
+    await seekTo(1e9);
+  }
+}
+
+/**
+ * Replay a recorded landmark stream (see stream.js) instead of running pose
+ * inference. Needs neither a video source nor a loaded model.
+ * @param {Object} stream - readStream() result
+ */
+export function useReplay(stream) {
+  releaseSource();
+
+  sourceType = "replay";
+  replayStream = stream;
+  fileProgress = 0;
+  aspectRatio = stream.aspectRatio;
+  canvasElement.width = stream.width;
+  canvasElement.height = stream.height;
+}
+
+/**
+ * Drive the pipeline from a synthetic rider (see simulator.js) in real time.
+ * Needs neither a video source nor a loaded model.
+ * @param {RiderSimulator} sim
+ */
+export function useSimulator(sim) {
+  releaseSource();
+
+  sourceType = "simulator";
+  simulator = sim;
+  fileProgress = 0;
+  aspectRatio = sim.aspectRatio;
+  canvasElement.width = sim.width;
+  canvasElement.height = sim.height;
+}
+
+/**
+ * Whether the current source is pre-recorded (a video file, landmark replay
+ * or simulation) rather than the live camera.
+ */
+export function isFileSource() {
+  return sourceType !== "camera";
+}
+
+/**
+ * Fraction (0–1) of the video file or replay processed so far. Always 0 for the camera.
+ */
+export function getFileProgress() {
+  return sourceType === "camera" ? 0 : fileProgress;
+}
+
+function waitForMetadata() {
+  return new Promise((resolve, reject) => {
     videoElement.onloadedmetadata = () => {
-      canvasElement.width = videoElement.videoWidth;
-      canvasElement.height = videoElement.videoHeight;
-      aspectRatio = videoElement.videoWidth / videoElement.videoHeight;
+      matchVideoSize();
       resolve();
     };
+    // A camera may renegotiate its resolution mid-stream (e.g. on rotation)
+    videoElement.onresize = () => {
+      if (sourceType === "camera" && videoElement.videoWidth) matchVideoSize();
+    };
+    videoElement.onerror = () => reject(new Error("Could not load video"));
   });
 }
 
+function matchVideoSize() {
+  canvasElement.width = videoElement.videoWidth;
+  canvasElement.height = videoElement.videoHeight;
+  aspectRatio = videoElement.videoWidth / videoElement.videoHeight;
+}
+
 /**
- * Start the detection loop. Calls onFrame(landmarks, timestamp) each frame.
+ * Stop the webcam stream or revoke the file URL of the current source.
  */
-export function startDetection(onFrame) {
+function releaseSource() {
+  const stream = videoElement.srcObject;
+  if (stream) {
+    for (const track of stream.getTracks()) track.stop();
+    videoElement.srcObject = null;
+  }
+  if (fileUrl) {
+    videoElement.removeAttribute("src");
+    videoElement.load();
+    URL.revokeObjectURL(fileUrl);
+    fileUrl = null;
+  }
+  replayStream = null;
+  simulator = null;
+  analyzedFrame?.close();
+  analyzedFrame = null;
+}
+
+/**
+ * Start the detection loop and a fresh analysis session in the worker. Calls
+ * onFrame(result) for each analyzed frame, see AnalysisPipeline.process().
+ * For a video file, result.timestamp is the frame's media time in ms and onEnd
+ * is called once the whole file has been processed. onEnd receives an error
+ * if a replay or simulation ended early because a frame failed to analyze.
+ */
+export function startDetection(onFrame, onEnd = null) {
   onFrameCallback = onFrame;
+  onEndCallback = onEnd;
   running = true;
-  detect();
+  runId++;
+  getWorker().postMessage({ type: "reset" });
+  resetFrameStats();
+  if (sourceType === "simulator") {
+    detectSimulated(runId);
+  } else if (sourceType === "replay") {
+    detectReplay(runId);
+  } else if (sourceType === "file") {
+    detectFile(runId);
+  } else {
+    detectLive(runId);
+  }
 }
 
 /**
@@ -114,7 +381,7 @@ export function getAspectRatio() {
 }
 
 /**
- * Stop the detection loop.
+ * Stop the detection loop. Results still on their way from the worker are dropped.
  */
 export function stopDetection() {
   running = false;
@@ -124,34 +391,303 @@ export function stopDetection() {
   }
 }
 
-function detect() {
-  if (!running) return;
+/**
+ * Call callback(stats) about once a second while detecting, with
+ * { sourceFps, analyzedFps, inferenceMs, dropped, total } — dropped and total
+ * count frames since detection started. Only the camera drops frames: a new
+ * frame that arrives while the worker is busy is skipped.
+ */
+export function onFrameStats(callback) {
+  onStatsCallback = callback;
+}
 
-  if (!poseLandmarker || !videoElement || videoElement.readyState < 2) {
-    animFrameId = requestAnimationFrame(detect);
-    return;
-  }
+function resetFrameStats() {
+  const now = performance.now();
+  frameStats = { windowStart: now, received: 0, analyzed: 0, inferenceMs: 0, dropped: 0, total: 0 };
+}
+
+function countFrame(dropped) {
+  frameStats.received++;
+  frameStats.total++;
+  if (dropped) frameStats.dropped++;
+}
+
+function countAnalyzed(inferenceMs) {
+  frameStats.analyzed++;
+  frameStats.inferenceMs += inferenceMs ?? 0;
 
   const now = performance.now();
-  const result = poseLandmarker.detectForVideo(videoElement, now);
+  const elapsed = now - frameStats.windowStart;
+  if (elapsed < STATS_INTERVAL_MS) return;
+  onStatsCallback?.({
+    sourceFps: sourceType === "camera" ? (frameStats.received * 1000) / elapsed : null,
+    analyzedFps: (frameStats.analyzed * 1000) / elapsed,
+    inferenceMs: inferenceMs === undefined ? null : frameStats.inferenceMs / frameStats.analyzed,
+    dropped: frameStats.dropped,
+    total: frameStats.total,
+  });
+  frameStats.windowStart = now;
+  frameStats.received = 0;
+  frameStats.analyzed = 0;
+  frameStats.inferenceMs = 0;
+}
 
-  canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+/**
+ * Live camera: hand each new video frame to the worker, unless it is still
+ * busy with the previous one. requestVideoFrameCallback fires once per camera
+ * frame; browsers without it fall back to animation frames, which may count a
+ * frame twice on displays faster than the camera.
+ */
+function detectLive(id) {
+  const schedule = () => {
+    if (!running || id !== runId) return;
+    if (videoElement.requestVideoFrameCallback) videoElement.requestVideoFrameCallback(onVideoFrame);
+    else animFrameId = requestAnimationFrame(onVideoFrame);
+  };
 
-  if (result.landmarks && result.landmarks.length > 0) {
-    const landmarks = result.landmarks[0];
+  const onVideoFrame = () => {
+    if (!running || id !== runId) return;
+    if (backendInfo && videoElement.readyState >= 2) {
+      countFrame(inFlight);
+      if (!inFlight) {
+        const now = performance.now();
+        analyzeVideoFrame(id, now, now).catch((err) => console.error(err));
+      }
+    }
+    schedule();
+  };
 
-    if (overlayVisible) {
-      drawSkeletonOnCtx(canvasCtx, canvasElement.width, canvasElement.height, landmarks, currentSide);
+  schedule();
+}
+
+/**
+ * Step through a video file frame by frame. Each seek and its analysis is
+ * awaited, so frames are never skipped and processing speed is bound only by
+ * inference time. Frames are analyzed at their own media times, on a grid of
+ * the file's measured frame rate.
+ */
+async function detectFile(id) {
+  const duration = videoElement.duration;
+  const baseTimestamp = lastDetectTimestamp + 1;
+  const frameDuration = await measureFrameDuration();
+  if (!running || id !== runId) return;
+
+  const frameCount = Math.max(1, Math.floor(duration / frameDuration));
+  let lastMediaTime = -1;
+  for (let i = 0; i < frameCount; i++) {
+    // Aim at the middle of each frame so rounding never lands on a neighbour
+    const mediaTime = await seekToFrame((i + 0.5) * frameDuration);
+    if (!running || id !== runId) return;
+
+    fileProgress = (i + 1) / frameCount;
+    // A variable frame rate can put two seek targets on the same frame
+    if (mediaTime <= lastMediaTime) continue;
+    lastMediaTime = mediaTime;
+    const mediaMs = mediaTime * 1000;
+    countFrame(false);
+    try {
+      await analyzeVideoFrame(id, baseTimestamp + mediaMs, mediaMs);
+    } catch (err) {
+      console.error(err);
+    }
+    if (!running || id !== runId) return;
+  }
+
+  fileProgress = 1;
+  running = false;
+  if (onEndCallback) onEndCallback();
+}
+
+/**
+ * Feed a recorded stream's frames to the pipeline in order, with their
+ * original timestamps. The pipeline only ever sees landmarks and timestamps,
+ * so a replay runs through exactly the same analysis as the original session.
+ */
+async function detectReplay(id) {
+  const { frames } = replayStream;
+
+  for (let i = 0; i < frames.length; i++) {
+    fileProgress = i / frames.length;
+    countFrame(false);
+    try {
+      await analyzeLandmarks(id, frames[i].landmarks, frames[i].timestamp);
+    } catch (err) {
+      failRun(id, err);
+      return;
+    }
+    if (!running || id !== runId) return;
+  }
+
+  fileProgress = 1;
+  running = false;
+  if (onEndCallback) onEndCallback();
+}
+
+/**
+ * Emit simulated frames as their timestamps come due.
+ */
+function detectSimulated(id) {
+  const start = performance.now();
+  let next = 0;
+
+  const tick = async () => {
+    if (!running || id !== runId) return;
+    const elapsed = performance.now() - start;
+    while (next < simulator.frameCount && (next * 1000) / simulator.fps <= elapsed) {
+      const { landmarks, timestamp } = simulator.frame(next++);
+      if (!landmarks) continue;
+      countFrame(false);
+      try {
+        await analyzeLandmarks(id, landmarks, timestamp);
+      } catch (err) {
+        failRun(id, err);
+        return;
+      }
+      if (!running || id !== runId) return;
     }
+    fileProgress = next / simulator.frameCount;
 
-    if (onFrameCallback) {
-      onFrameCallback(landmarks, now);
+    if (next < simulator.frameCount) {
+      animFrameId = requestAnimationFrame(tick);
+      return;
     }
+    running = false;
+    if (onEndCallback) onEndCallback();
+  };
+  animFrameId = requestAnimationFrame(tick);
+}
+
+/**
+ * End a replay or simulation whose frame the worker could not analyze; the
+ * stream is synthetic or recorded, so later frames would fail the same way.
+ */
+function failRun(id, err) {
+  console.error(err);
+  if (id !== runId) return;
+  running = false;
+  if (onEndCallback) onEndCallback(err);
+}
+
+function seekTo(time) {
+  return new Promise((resolve) => {
+    videoElement.addEventListener("seeked", resolve, { once: true });
+    videoElement.currentTime = time;
+  });
+}
+
+/**
+ * Seek the video file and resolve with the media time (in seconds) of the
+ * frame now shown. requestVideoFrameCallback reports the frame's own
+ * timestamp; without it, or if no new frame is presented, currentTime is used.
+ */
+function seekToFrame(time) {
+  return new Promise((resolve) => {
+    let done = false;
+    let handle = null;
+    const finish = (mediaTime) => {
+      if (done) return;
+      done = true;
+      if (handle !== null) videoElement.cancelVideoFrameCallback(handle);
+      resolve(mediaTime);
+    };
+    handle = videoElement.requestVideoFrameCallback?.((now, metadata) => {
+      handle = null;
+      finish(metadata.mediaTime);
+    }) ?? null;
+    videoElement.addEventListener("seeked", () => {
+      if (!videoElement.requestVideoFrameCallback) finish(videoElement.currentTime);
+      else setTimeout(() => finish(videoElement.currentTime), SEEK_FRAME_TIMEOUT_MS);
+    }, { once: true });
+    videoElement.currentTime = time;
+  });
+}
+
+/**
+ * Duration of one frame of the video file in seconds, from the media times of
+ * a few frames played from the start. Frames dropped during playback leave
+ * gaps of several frames, so the shortest gap is the frame duration. Falls
+ * back to FILE_SAMPLE_FPS where requestVideoFrameCallback is unavailable or
+ * playback doesn't start.
+ */
+async function measureFrameDuration() {
+  const fallback = 1 / FILE_SAMPLE_FPS;
+  if (!videoElement.requestVideoFrameCallback) return fallback;
+
+  await seekTo(0);
+  const times = [];
+  let handle = null;
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, FRAME_RATE_TIMEOUT_MS);
+    const onFrame = (now, metadata) => {
+      times.push(metadata.mediaTime);
+      if (times.length < FRAME_RATE_SAMPLES && !videoElement.ended) {
+        handle = videoElement.requestVideoFrameCallback(onFrame);
+      } else {
+        handle = null;
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    handle = videoElement.requestVideoFrameCallback(onFrame);
+    videoElement.play().catch(resolve);
+  });
+  if (handle !== null) videoElement.cancelVideoFrameCallback(handle);
+  videoElement.pause();
+
+  const gaps = times.slice(1).map((t, i) => t - times[i]).filter((gap) => gap > 0);
+  return gaps.length > 0 ? Math.min(...gaps) : fallback;
+}
+
+/**
+ * Send the current video frame to the worker for inference and analysis.
+ * MediaPipe requires strictly increasing timestamps across the landmarker's
+ * lifetime, so detectTimestamp is clamped against the last one.
+ */
+async function analyzeVideoFrame(id, detectTimestamp, frameTimestamp) {
+  detectTimestamp = Math.max(detectTimestamp, lastDetectTimestamp + 1);
+  lastDetectTimestamp = detectTimestamp;
+
+  inFlight = true;
+  try {
+    const bitmap = await createImageBitmap(videoElement);
+    const reply = await request({ type: "frame", bitmap, timestamp: frameTimestamp, detectTimestamp, aspectRatio }, [bitmap]);
+    showResult(id, reply);
+  } finally {
+    inFlight = false;
   }
+}
 
-  if (running) {
-    animFrameId = requestAnimationFrame(detect);
+async function analyzeLandmarks(id, landmarks, timestamp) {
+  const reply = await request({ type: "landmarks", landmarks, timestamp, aspectRatio });
+  showResult(id, reply);
+}
+
+/**
+ * Draw a result from the worker and forward it, unless detection has been
+ * stopped or restarted since its frame was sent.
+ */
+function showResult(id, { result, bitmap, inferenceMs }) {
+  if (!running || id !== runId) {
+    bitmap?.close();
+    return;
   }
+  if (bitmap) {
+    analyzedFrame?.close();
+    analyzedFrame = bitmap;
+  }
+  countAnalyzed(inferenceMs);
+
+  canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+  simulator?.drawBike(canvasCtx, canvasElement.width, canvasElement.height);
+  if (!result) return;
+
+  if (overlayVisible) {
+    drawSkeletonOnCtx(canvasCtx, canvasElement.width, canvasElement.height, result.raw, currentSide);
+  }
+  // Replays and simulations have no pixels, only the overlay
+  const synthetic = sourceType === "replay" || sourceType === "simulator";
+  videoRecorder?.addFrame(synthetic ? null : analyzedFrame, canvasElement, result.timestamp);
+  onFrameCallback?.(result);
 }
 
 /**
@@ -189,8 +725,8 @@ function drawSkeletonOnCtx(ctx, w, h, landmarks, side) {
 
 // Landmark name → index mapping per side (for angle overlay drawing)
 const SIDE_LANDMARK_MAP = {
-  left: { shoulder: 11, elbow: 13, wrist: 15, hip: 23, knee: 25, ankle: 27 },
-  right: { shoulder: 12, elbow: 14, wrist: 16, hip: 24, knee: 26, ankle: 28 },
+  left: { shoulder: 11, elbow: 13, wrist: 15, hip: 23, knee: 25, ankle: 27, heel: 29, footIndex: 31 },
+  right: { shoulder: 12, elbow: 14, wrist: 16, hip: 24, knee: 26, ankle: 28, heel: 30, footIndex: 32 },
 };
 
 // Which joints form each measured angle
@@ -199,35 +735,42 @@ const ANGLE_JOINTS = {
   hip: { joint: "hip", from: "shoulder", to: "knee" },
   torso: { joint: "hip", from: null, to: "shoulder" }, // null = horizontal reference
   elbow: { joint: "elbow", from: "shoulder", to: "wrist" },
+  ankle: { joint: "ankle", from: "knee", to: "footIndex" },
 };
 
 /**
- * Capture a snapshot of the current video frame with skeleton overlay,
- * angle visualization, and label badge.
+ * Capture the current video frame with the landmarks an angle was measured
+ * on. The overlay is drawn later by renderSnapshot(), so the landmarks can
+ * still be corrected by hand.
  * @param {Array} landmarks - MediaPipe landmarks
  * @param {string} side - "left" or "right"
  * @param {string} label - text for the badge (e.g., "Knee (at BDC)")
- * @param {string} angleKey - which angle to visualize ("knee", "hip", "torso", "elbow")
+ * @param {string} angleKey - which angle to visualize ("knee", "hip", "torso", "elbow", "ankle")
  * @param {number} angleValue - the computed angle in degrees
- * @returns {HTMLCanvasElement|null} offscreen canvas with the composited image
+ * @returns {Object|null} { frame, landmarks, side, label, angleKey, angleValue, color, tilt }
+ *   where frame is a canvas without overlay and tilt the camera tilt the angle was corrected for
  */
 export function captureSnapshot(landmarks, side, label, angleKey, angleValue, color = "#fbbf24") {
-  if (!videoElement || videoElement.readyState < 2) return null;
-
-  const w = canvasElement.width;
-  const h = canvasElement.height;
+  const frame = createFrameCanvas();
+  if (!frame) return null;
+  return { frame, landmarks, side, label, angleKey, angleValue, color, tilt: analysisSettings.tilt ?? 0 };
+}
 
+/**
+ * Draw a captured snapshot: the frame with the angle visualization and label badge.
+ * @param {Object} snapshot - captureSnapshot() result; frame may also be an ImageBitmap
+ * @returns {HTMLCanvasElement}
+ */
+export function renderSnapshot({ frame, landmarks, side, label, angleKey, angleValue, color = "#fbbf24", tilt = 0 }) {
   const offscreen = document.createElement("canvas");
-  offscreen.width = w;
-  offscreen.height = h;
+  const w = (offscreen.width = frame.width);
+  const h = (offscreen.height = frame.height);
   const ctx = offscreen.getContext("2d");
-
-  // Draw video frame
-  ctx.drawImage(videoElement, 0, 0, w, h);
+  ctx.drawImage(frame, 0, 0);
 
   // Draw only the angle measurement lines (no full skeleton)
-  if (angleKey && ANGLE_JOINTS[angleKey]) {
-    drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, color);
+  if (angleKey && ANGLE_JOINTS[angleKey] && angleValue !== null) {
+    drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, color, tilt);
   }
 
   // Draw label badge
@@ -236,10 +779,208 @@ export function captureSnapshot(landmarks, side, label, angleKey, angleValue, co
   return offscreen;
 }
 
+// Joints a snapshot's landmarks can be corrected at
+const EDITABLE_JOINTS = ["shoulder", "elbow", "wrist", "hip", "knee", "ankle"];
+
+/**
+ * Positions of the correctable joints on one side.
+ * @returns {Object} joint name → { x, y } in normalized image coords
+ */
+export function getSnapshotJoints(landmarks, side) {
+  const indices = SIDE_LANDMARK_MAP[side];
+  return Object.fromEntries(EDITABLE_JOINTS.map((name) => {
+    const { x, y } = landmarks[indices[name]];
+    return [name, { x, y }];
+  }));
+}
+
+/**
+ * Copy of the landmarks with joints moved, e.g. from getSnapshotJoints().
+ * Moved joints count as fully visible.
+ */
+export function moveSnapshotJoints(landmarks, side, joints) {
+  const indices = SIDE_LANDMARK_MAP[side];
+  const moved = landmarks.map((lm) => ({ ...lm }));
+  for (const [name, { x, y }] of Object.entries(joints)) {
+    moved[indices[name]] = { ...moved[indices[name]], x, y, visibility: 1 };
+  }
+  return moved;
+}
+
+/**
+ * Capture a snapshot showing the knee-over-pedal plumb line at 3 o'clock.
+ * @param {Object} setback - computeSetback() result for the frame
+ * @param {string} label - text for the badge
+ * @param {number} ratio - offset as % of thigh length (+ = knee ahead of pedal)
+ * @returns {HTMLCanvasElement|null}
+ */
+export function captureSetbackSnapshot(setback, label, ratio, color = "#fbbf24") {
+  const offscreen = createFrameCanvas();
+  if (!offscreen) return null;
+  const ctx = offscreen.getContext("2d");
+  const w = offscreen.width;
+  const h = offscreen.height;
+
+  const kx = setback.kneeFront.x * w;
+  const ky = setback.kneeFront.y * h;
+  const px = setback.pedal.x * w;
+  const py = setback.pedal.y * h;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.shadowColor = "rgba(0,0,0,0.5)";
+  ctx.shadowBlur = 4;
+
+  // Plumb line from the front of the knee
+  ctx.setLineDash([8, 5]);
+  ctx.beginPath();
+  ctx.moveTo(kx, ky);
+  ctx.lineTo(kx, py + h * 0.04);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Horizontal offset between plumb line and pedal
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(kx, py);
+  ctx.lineTo(px, py);
+  ctx.stroke();
+
+  ctx.fillStyle = "#ffffff";
+  for (const [x, y] of [[kx, ky], [px, py]]) {
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  const fontSize = Math.round(h * 0.035);
+  ctx.shadowBlur = 6;
+  ctx.shadowColor = "rgba(0,0,0,0.8)";
+  ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillStyle = color;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  ctx.fillText(`${ratio > 0 ? "+" : ""}${Math.round(ratio)}%`, (kx + px) / 2, py - 8);
+  ctx.restore();
+
+  drawLabelBadge(ctx, h, label);
+
+  return offscreen;
+}
+
+/**
+ * Capture a front-view snapshot of one leg's knee tracking: the hip–ankle line
+ * and the knee's sideways offset from it.
+ * @param {Array} landmarks - MediaPipe landmarks
+ * @param {string} leg - "left" or "right"
+ * @param {string} label - text for the badge
+ * @param {number} offset - knee offset as % of leg length (+ = outward)
+ * @returns {HTMLCanvasElement|null}
+ */
+export function captureTrackingSnapshot(landmarks, leg, label, offset, color = "#fbbf24") {
+  const offscreen = createFrameCanvas();
+  if (!offscreen) return null;
+  const ctx = offscreen.getContext("2d");
+  const w = offscreen.width;
+  const h = offscreen.height;
+
+  const [hip, knee, ankle] = (leg === "left" ? [23, 25, 27] : [24, 26, 28]).map((i) => landmarks[i]);
+  const hx = hip.x * w;
+  const hy = hip.y * h;
+  const kx = knee.x * w;
+  const ky = knee.y * h;
+  const ax = ankle.x * w;
+  const ay = ankle.y * h;
+  const lineX = hx + ((ax - hx) * (ky - hy)) / (ay - hy);
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.shadowColor = "rgba(0,0,0,0.5)";
+  ctx.shadowBlur = 4;
+
+  // Straight hip–ankle reference line
+  ctx.setLineDash([8, 5]);
+  ctx.beginPath();
+  ctx.moveTo(hx, hy);
+  ctx.lineTo(ax, ay);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Actual leg through the knee
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(hx, hy);
+  ctx.lineTo(kx, ky);
+  ctx.lineTo(ax, ay);
+  ctx.stroke();
+
+  // Sideways offset at knee height
+  ctx.beginPath();
+  ctx.moveTo(lineX, ky);
+  ctx.lineTo(kx, ky);
+  ctx.stroke();
+
+  ctx.fillStyle = "#ffffff";
+  for (const [x, y] of [[hx, hy], [kx, ky], [ax, ay]]) {
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  const fontSize = Math.round(h * 0.035);
+  ctx.shadowBlur = 6;
+  ctx.shadowColor = "rgba(0,0,0,0.8)";
+  ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillStyle = color;
+  ctx.textAlign = kx < lineX ? "right" : "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(`${offset > 0 ? "+" : ""}${Math.round(offset)}%`, kx + (kx < lineX ? -14 : 14), ky);
+  ctx.restore();
+
+  drawLabelBadge(ctx, h, label);
+
+  return offscreen;
+}
+
+/**
+ * Grab the current video frame without any overlay, e.g. for marking
+ * calibration points. Returns null if no frame is available yet.
+ */
+export function captureFrame() {
+  return createFrameCanvas(videoElement);
+}
+
+/**
+ * Create an offscreen canvas holding a video frame: by default the frame
+ * behind the latest analysis result, so snapshots match their landmarks.
+ */
+function createFrameCanvas(image = analyzedFrame ?? videoElement) {
+  const synthetic = sourceType === "replay" || sourceType === "simulator";
+  if (!synthetic && (!videoElement || videoElement.readyState < 2)) return null;
+
+  const offscreen = document.createElement("canvas");
+  offscreen.width = canvasElement.width;
+  offscreen.height = canvasElement.height;
+  const ctx = offscreen.getContext("2d");
+  if (synthetic) {
+    // Replays and simulations have no pixels; draw overlays on a plain background
+    ctx.fillStyle = "#0f172a";
+    ctx.fillRect(0, 0, offscreen.width, offscreen.height);
+    simulator?.drawBike(ctx, offscreen.width, offscreen.height);
+  } else {
+    ctx.drawImage(image, 0, 0, offscreen.width, offscreen.height);
+  }
+  return offscreen;
+}
+
 /**
  * Draw the angle arc, highlighted limbs, and degree value at a joint.
+ * @param {number} tilt - camera tilt in degrees (see setTilt() in angles.js); the
+ *   horizontal reference is drawn level with the real world, not the image
  */
-function drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, color = "#fbbf24") {
+function drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, color = "#fbbf24", tilt = 0) {
   const indices = SIDE_LANDMARK_MAP[side];
   const spec = ANGLE_JOINTS[angleKey];
 
@@ -253,12 +994,14 @@ function drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, colo
 
   let fx, fy;
   const isHorizontalRef = spec.from === null;
+  const levelX = Math.cos((tilt * Math.PI) / 180);
+  const levelY = Math.sin((tilt * Math.PI) / 180);
 
   if (isHorizontalRef) {
     // Horizontal reference for torso: extend in direction of the shoulder
     const dir = toLm.x < jointLm.x ? -1 : 1;
-    fx = jx + dir * 80;
-    fy = jy;
+    fx = jx + dir * 80 * levelX;
+    fy = jy + dir * 80 * levelY;
   } else {
     const fromLm = landmarks[indices[spec.from]];
     fx = fromLm.x * w;
@@ -276,8 +1019,8 @@ function drawAngleOverlay(ctx, w, h, landmarks, side, angleKey, angleValue, colo
     // Dashed horizontal reference line
     ctx.setLineDash([8, 5]);
     ctx.beginPath();
-    ctx.moveTo(jx - 70, jy);
-    ctx.lineTo(jx + 70, jy);
+    ctx.moveTo(jx - 70 * levelX, jy - 70 * levelY);
+    ctx.lineTo(jx + 70 * levelX, jy + 70 * levelY);
     ctx.stroke();
     ctx.setLineDash([]);
   } else {
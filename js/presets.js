@@ -0,0 +1,131 @@
+// Target ranges and recommendation texts per riding discipline. Each preset
+// lists every metric's range; `suggestions` overrides the road texts in
+// analysis.js THRESHOLDS for the metrics where the discipline's advice differs.
+export const PRESETS = {
+  road: {
+    label: "Road",
+    ranges: {
+      knee: [130, 145],
+      hip: [45, 60],
+      torso: [30, 55],
+      elbow: [145, 170],
+      ankle: [15, 30],
+      kops: [-5, 5],
+      hipRock: [0, 6],
+      trackLeft: [-5, 5],
+      trackRight: [-5, 5],
+    },
+    suggestions: {},
+  },
+  tt: {
+    label: "TT / Triathlon",
+    ranges: {
+      knee: [135, 150],
+      hip: [40, 55],
+      torso: [5, 25],
+      elbow: [80, 110],
+      ankle: [15, 30],
+      kops: [0, 12],
+      hipRock: [0, 6],
+      trackLeft: [-5, 5],
+      trackRight: [-5, 5],
+    },
+    suggestions: {
+      hip: {
+        lowSuggestion: "Your hip is closing too tightly at the top of the pedal stroke, even for an aero position. A closed hip costs power and makes it hard to hold the position for the whole event. Rotate the position forward rather than raising the pads: move the saddle forward and the pads with it, or try shorter cranks to open the hip at the top of the stroke.",
+        highSuggestion: "Your hip angle is open for a time trial position. If you can hold a lower front end, lowering the arm pads or moving the saddle back will bring the torso down — but only as far as you can still breathe and produce power comfortably.",
+      },
+      torso: {
+        lowSuggestion: "Your back is nearly flat, which is fast but hard to sustain. If you can't hold this position for the length of your event, or your neck and lower back complain, raise the arm pads a few millimetres at a time.",
+        highSuggestion: "Your torso is upright for a time trial position and the aerodynamic penalty is significant. Lower the arm pads or extend them forward in small steps, re-checking hip closure each time.",
+        goodSuggestion: "Torso angle is in a typical aero range — low enough to be fast, high enough to sustain.",
+      },
+      elbow: {
+        lowSuggestion: "Your elbows are tucked well behind the shoulders. This shortens the frontal area, but it loads the shoulders and can make steering twitchy. Move the arm pads forward or extend the extensions so the upper arm sits closer to vertical.",
+        highSuggestion: "Your arms are stretched out on the extensions, so your shoulders carry the weight instead of resting on the pads. Move the pads back or shorten the extensions until the elbows sit roughly under the shoulders.",
+        goodSuggestion: "Elbows sit roughly under the shoulders — the upper arms support the torso without strain.",
+      },
+      kops: {
+        lowSuggestion: "For a time trial position your knee sits behind the pedal spindle at 3 o'clock. Most aero positions rotate the rider forward around the bottom bracket: slide the saddle forward (or use a forward-offset seatpost) to open the hip and bring the knee over or ahead of the pedal.",
+        highSuggestion: "Your knee sits well ahead of the pedal spindle even for an aero position. This loads the quadriceps and the front of the knee. Slide the saddle back a few millimetres, then re-check the arm pad position.",
+        goodSuggestion: "Your knee sits slightly ahead of the pedal at 3 o'clock — a typical forward-rotated aero position.",
+      },
+    },
+  },
+  gravel: {
+    label: "Gravel",
+    ranges: {
+      knee: [130, 145],
+      hip: [50, 65],
+      torso: [35, 55],
+      elbow: [145, 165],
+      ankle: [15, 30],
+      kops: [-5, 5],
+      hipRock: [0, 6],
+      trackLeft: [-5, 5],
+      trackRight: [-5, 5],
+    },
+    suggestions: {
+      torso: {
+        lowSuggestion: "Your riding position is low for gravel. Long hours on rough surfaces put more load through the back, neck and hands than road riding does. Raising the bars or fitting a shorter stem will make the bike easier to control off-road.",
+        highSuggestion: "Your torso is upright even for gravel. That is comfortable, but it puts more weight on the saddle over bumps and less over the front wheel on climbs. If the front wheel wanders on steep climbs, lower the bars slightly.",
+      },
+      elbow: {
+        highSuggestion: "Your arms are nearly locked out. Off-road, straight arms pass every impact straight into your shoulders and neck and make it harder to steer through loose corners. Try a shorter stem or wider bars with a little flare so the elbows stay bent.",
+      },
+    },
+  },
+  mtb: {
+    label: "MTB",
+    ranges: {
+      knee: [128, 142],
+      hip: [50, 70],
+      torso: [40, 60],
+      elbow: [140, 165],
+      ankle: [15, 35],
+      kops: [-8, 5],
+      hipRock: [0, 8],
+      trackLeft: [-5, 5],
+      trackRight: [-5, 5],
+    },
+    suggestions: {
+      knee: {
+        highSuggestion: "Your leg is overextending at the bottom of the pedal stroke. On a mountain bike this also leaves no room to absorb a hit through the legs while seated. Lower your saddle in small increments (5 mm at a time) until this angle decreases into the target range.",
+      },
+      torso: {
+        lowSuggestion: "Your riding position is low for a mountain bike. This puts a lot of weight on the front wheel and makes it hard to move your body back on descents. Try a shorter stem or a higher-rise bar.",
+        highSuggestion: "Your torso is very upright. On climbs this takes weight off the front wheel, which can lift or wander on steep pitches. A slightly longer or lower stem brings more weight forward.",
+      },
+      elbow: {
+        highSuggestion: "Your arms are nearly locked out. On a mountain bike the arms are your front suspension: straight arms can't soak up impacts or let the bike move underneath you. Try a shorter stem or a bar with more rise so the elbows stay bent and out.",
+      },
+    },
+  },
+  commuter: {
+    label: "Commuter / Upright",
+    ranges: {
+      knee: [130, 145],
+      hip: [60, 85],
+      torso: [55, 80],
+      elbow: [150, 175],
+      ankle: [15, 30],
+      kops: [-10, 5],
+      hipRock: [0, 6],
+      trackLeft: [-5, 5],
+      trackRight: [-5, 5],
+    },
+    suggestions: {
+      hip: {
+        lowSuggestion: "Your hip closes more than an upright bike calls for. On a bike ridden in everyday clothes, a tight hip angle quickly becomes uncomfortable. Raise the handlebars or fit a swept-back bar to sit up more.",
+        highSuggestion: "Your hip is very open at the top of the stroke. This is comfortable, but if the saddle feels too far back or you slide forward while riding, move the saddle forward slightly.",
+      },
+      torso: {
+        lowSuggestion: "You're leaning further forward than an upright bike is set up for. That puts weight on your hands and makes it harder to look around in traffic. Raise the handlebars or use a riser or swept-back bar.",
+        highSuggestion: "You're sitting fully upright. This is very comfortable and gives a good view of traffic, but it puts almost all your weight on the saddle. If it gets sore on longer trips, lean forward slightly with a lower or further forward bar.",
+        goodSuggestion: "Torso angle is in a relaxed upright range — good visibility in traffic with some weight on the hands.",
+      },
+    },
+  },
+};
+
+export const DEFAULT_PRESET = "road";
@@ -0,0 +1,177 @@
+const VIDEO_BITRATE = 2500000;
+// First supported type wins; all are WebM so the download is always .webm
+const MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const BACKGROUND = "#0f172a";
+
+/**
+ * Records the analyzed frames with their overlay into a WebM video, and keeps
+ * a timeline linking frame timestamps (the pipeline's clock) to video time.
+ * The two clocks differ: camera timestamps come from performance.now(), video
+ * files are decoded faster or slower than real time, and the video itself runs
+ * on wall time from start().
+ */
+export class SessionVideoRecorder {
+  /**
+   * Whether this browser can record a canvas to WebM.
+   */
+  static get supported() {
+    return typeof MediaRecorder !== "undefined"
+      && typeof HTMLCanvasElement.prototype.captureStream === "function"
+      && MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+  }
+
+  constructor() {
+    this.canvas = document.createElement("canvas");
+    this.ctx = this.canvas.getContext("2d");
+    this.recorder = null;
+    this.track = null;
+    this.chunks = [];
+    this.timeline = [];
+    this.startedAt = 0;
+  }
+
+  get recording() {
+    return this.recorder?.state === "recording";
+  }
+
+  /**
+   * Discard any previous recording and start a new one.
+   * @param {number} width
+   * @param {number} height
+   */
+  start(width, height) {
+    this.discard();
+    this.canvas.width = width;
+    this.canvas.height = height;
+    // A frame rate of 0 only captures on requestFrame(), i.e. once per analyzed frame
+    const stream = this.canvas.captureStream(0);
+    this.track = stream.getVideoTracks()[0];
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    this.recorder.start(1000);
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * Draw one analyzed frame with its overlay.
+   * @param {ImageBitmap|HTMLVideoElement|null} image - video frame; null for replays and simulations
+   * @param {HTMLCanvasElement} overlay - the skeleton overlay drawn for this frame
+   * @param {number} timestamp - frame time in ms
+   */
+  addFrame(image, overlay, timestamp) {
+    if (!this.recording) return;
+    const { width, height } = this.canvas;
+    if (image) {
+      this.ctx.drawImage(image, 0, 0, width, height);
+    } else {
+      this.ctx.fillStyle = BACKGROUND;
+      this.ctx.fillRect(0, 0, width, height);
+    }
+    this.ctx.drawImage(overlay, 0, 0, width, height);
+    this.track.requestFrame();
+    this.timeline.push([timestamp, performance.now() - this.startedAt]);
+  }
+
+  /**
+   * Finish the recording.
+   * @returns {Promise<Object|null>} { blob, timeline } where timeline holds
+   *   [frame timestamp, video ms] pairs, or null if nothing was recorded
+   */
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder || recorder.state === "inactive") return Promise.resolve(null);
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: recorder.mimeType.split(";")[0] });
+        const result = this.timeline.length > 0 ? { blob, timeline: this.timeline } : null;
+        this.track.stop();
+        this.recorder = null;
+        this.chunks = [];
+        this.timeline = [];
+        resolve(result);
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Stop without keeping anything.
+   */
+  discard() {
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.onstop = null;
+      this.recorder.stop();
+    }
+    this.track?.stop();
+    this.recorder = null;
+    this.chunks = [];
+    this.timeline = [];
+  }
+}
+
+/**
+ * Linear interpolation over a sorted timeline of [a, b] pairs, clamped to its ends.
+ */
+function interpolate(timeline, value, from, to) {
+  if (timeline.length === 0) return null;
+  if (value <= timeline[0][from]) return timeline[0][to];
+  const last = timeline[timeline.length - 1];
+  if (value >= last[from]) return last[to];
+
+  let lo = 0;
+  let hi = timeline.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid][from] <= value) lo = mid;
+    else hi = mid;
+  }
+  const a = timeline[lo];
+  const b = timeline[hi];
+  const f = b[from] > a[from] ? (value - a[from]) / (b[from] - a[from]) : 0;
+  return a[to] + f * (b[to] - a[to]);
+}
+
+/**
+ * Video time (seconds) at which a frame timestamp was recorded.
+ */
+export function videoTimeAt(timeline, timestamp) {
+  const ms = interpolate(timeline, timestamp, 0, 1);
+  return ms === null ? null : ms / 1000;
+}
+
+/**
+ * Frame timestamp (ms) shown at a video time in seconds.
+ */
+export function timestampAt(timeline, seconds) {
+  return interpolate(timeline, seconds * 1000, 1, 0);
+}
+
+/**
+ * The cycle being pedaled at a frame timestamp. A cycle summary is stamped at
+ * its end (bottom dead centre), so it spans the previous summary's timestamp
+ * to its own; the first cycle is assumed to last one stroke at its cadence.
+ * @param {Array} cycles - cycle summaries in order
+ * @returns {Object|null}
+ */
+export function cycleAt(cycles, timestamp) {
+  for (const [i, cycle] of cycles.entries()) {
+    if (timestamp <= cycle.timestamp) {
+      return timestamp >= cycleStart(cycles, i) ? cycle : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Frame timestamp at which a cycle started, see cycleAt().
+ */
+export function cycleStart(cycles, index) {
+  const cycle = cycles[index];
+  const previous = cycles[index - 1];
+  // Trimmed or gapped sessions skip cycle numbers; only chain consecutive ones
+  if (previous && previous.cycleNumber === cycle.cycleNumber - 1) return previous.timestamp;
+  return cycle.timestamp - 60000 / Math.max(cycle.rpm, 1);
+}
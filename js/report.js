@@ -0,0 +1,163 @@
+import { STATUS_LABELS } from "./analysis.js";
+
+const STATUS_COLORS = {
+  green: "#16a34a",
+  yellow: "#ca8a04",
+  red: "#dc2626",
+};
+
+/**
+ * Escape text for use in HTML content or a quoted attribute.
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function notesHtml(title, text) {
+  if (!text || !text.trim()) return "";
+  return `
+    <div class="notes">
+      <h3>${title}</h3>
+      <p>${escapeHtml(text).replace(/\n/g, "<br>")}</p>
+    </div>`;
+}
+
+function segmentsHtml(measurements) {
+  if (!measurements?.segments) return "";
+  const { thigh, shank, torso, arm } = measurements.segments;
+  return `
+    <h2>Body Measurements</h2>
+    <table class="segments">
+      <tr><th>Thigh</th><th>Shank</th><th>Torso</th><th>Arm</th></tr>
+      <tr>${[thigh, shank, torso, arm].map((mm) => `<td>${Math.round(mm)} mm</td>`).join("")}</tr>
+    </table>
+    <p class="meta">Estimated from the video, scaled to a ${measurements.calibration.lengthMm} mm reference.</p>`;
+}
+
+function cardHtml(rec) {
+  const color = STATUS_COLORS[rec.status];
+  const unit = rec.unit || "°";
+  return `
+    <div class="card" style="border-left-color: ${color}">
+      <div class="card__header">
+        <strong>${escapeHtml(rec.name)}</strong>
+        <span class="card__status" style="color: ${color}">${STATUS_LABELS[rec.status]}</span>
+      </div>
+      <table class="card__stats">
+        <tr><th>Average</th><th>Range</th><th>SD</th><th>Target</th></tr>
+        <tr>
+          <td><strong>${rec.avg}${unit}</strong>${rec.override ? `<br><small>manual override, measured ${rec.override.measured}${unit}</small>` : ""}</td>
+          <td>${rec.min}${unit}–${rec.max}${unit}</td>
+          <td>${rec.std}${unit}</td>
+          <td>${rec.targetMin}${unit}–${rec.targetMax}${unit}</td>
+        </tr>
+      </table>
+      <p class="card__suggestion">${escapeHtml(rec.suggestion)}</p>${rec.adjustment ? `
+      <p class="card__adjustment">Estimated change: <strong>${escapeHtml(rec.adjustment)}</strong></p>` : ""}
+    </div>`;
+}
+
+/**
+ * Build a self-contained, print-optimized HTML document for a session.
+ * All images are embedded as data URLs so the page can be saved or printed
+ * to PDF without network access.
+ * @param {Object} data
+ * @param {Object} data.session - { name, createdAt, view, cameraSide, preset, cycles, results, measurements }
+ * @param {Object} data.notes - { rider, riderNotes, bikeNotes }
+ * @param {string|null} data.gridImage - data URL of the 2×2 snapshot grid
+ * @param {Array} data.chartImages - [{ key, title, image }] from getChartImages()
+ * @returns {string}
+ */
+export function buildReportHtml({ session, notes = {}, gridImage, chartImages = [] }) {
+  const date = new Date(session.createdAt).toLocaleString();
+  const rpms = session.cycles.map((c) => c.rpm);
+  const avgRpm = rpms.length ? Math.round(rpms.reduce((s, r) => s + r, 0) / rpms.length) : 0;
+
+  const charts = chartImages
+    .map(({ title, image }) => `
+      <figure class="chart">
+        <figcaption>${title}</figcaption>
+        <img src="${image}" alt="${title} chart">
+      </figure>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Bike Fit Report — ${escapeHtml(notes.rider || session.name)}</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #0f172a; line-height: 1.45; padding: 24px; max-width: 900px; margin: 0 auto; font-size: 12px; }
+  h1 { font-size: 22px; }
+  h2 { font-size: 15px; margin: 18px 0 8px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+  h3 { font-size: 12px; margin-bottom: 4px; }
+  .meta { color: #475569; margin-top: 4px; }
+  .toolbar { margin-bottom: 16px; }
+  .toolbar button { padding: 8px 18px; font-size: 13px; font-weight: 600; border: none; border-radius: 6px; background: #3b82f6; color: #fff; cursor: pointer; }
+  .grid { width: 100%; border-radius: 6px; background: #0f172a; }
+  .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  .chart { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px; background: #1e293b; }
+  .chart figcaption { font-weight: 600; color: #f1f5f9; margin-bottom: 4px; }
+  .chart img { width: 100%; }
+  .cards { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  .card { border: 1px solid #e2e8f0; border-left: 4px solid; border-radius: 6px; padding: 10px 12px; }
+  .card__header { display: flex; justify-content: space-between; margin-bottom: 6px; }
+  .card__status { font-weight: 600; }
+  .card__stats { width: 100%; border-collapse: collapse; margin-bottom: 6px; }
+  .card__stats th { text-align: left; font-weight: 500; color: #64748b; font-size: 10px; }
+  .card__suggestion { color: #334155; }
+  .card__adjustment { margin-top: 4px; color: #1d4ed8; }
+  .segments td { padding-right: 18px; }
+  .notes { margin-bottom: 10px; }
+  .disclaimer { margin-top: 20px; color: #64748b; font-size: 10px; }
+  .chart, .card, .notes, .grid { break-inside: avoid; }
+  @page { size: A4; margin: 12mm; }
+  @media print {
+    body { padding: 0; }
+    .toolbar { display: none; }
+    .chart, .grid { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <header>
+    <h1>Bike Fit Report${notes.rider ? ` — ${escapeHtml(notes.rider)}` : ""}</h1>
+    <p class="meta">${escapeHtml(date)} · ${session.cycles.length} pedal cycles · ${avgRpm} RPM average · filmed from ${session.view === "front" ? "the front" : `the ${escapeHtml(session.cameraSide)} side`}${session.preset ? ` · ${escapeHtml(session.preset.label)} targets${session.preset.modified ? " (modified)" : ""}` : ""}</p>
+  </header>
+
+  ${gridImage ? `<h2>Key Positions</h2><img class="grid" src="${gridImage}" alt="Snapshots of the measured angles">` : ""}
+
+  ${segmentsHtml(session.measurements)}
+
+  <h2>Angles per Pedal Cycle</h2>
+  <div class="charts">${charts}</div>
+
+  <h2>Recommendations</h2>
+  <div class="cards">${session.results.map(cardHtml).join("")}</div>
+
+  ${notes.riderNotes?.trim() || notes.bikeNotes?.trim() ? "<h2>Notes</h2>" : ""}
+  ${notesHtml("Rider", notes.riderNotes)}
+  ${notesHtml("Bike", notes.bikeNotes)}
+
+  <p class="disclaimer">Generated by OpenBikeFit. All processing happened on the fitter's device. This report was not created by a professional bike fitter or healthcare professional.</p>
+  <script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>`;
+}
+
+/**
+ * Open the report in a new tab, where the browser's print dialog can save it as PDF.
+ */
+export function openReport(data) {
+  const blob = new Blob([buildReportHtml(data)], { type: "text/html" });
+  const url = URL.createObjectURL(blob);
+  const win = window.open(url, "_blank");
+  if (!win) throw new Error("Pop-up blocked — allow pop-ups to open the report");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
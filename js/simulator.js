@@ -0,0 +1,367 @@
+// Parametric side-view rider on a road bike, for demos and for checking the
+// pipeline against known angles. Lengths are in millimetres, the bike's bottom
+// bracket is the origin, x points forward and y points up.
+export const DEFAULT_SIMULATION = {
+  saddleHeight: 715, // bottom bracket to saddle top, along the seat tube
+  setback: 250, // saddle centre behind the bottom bracket
+  reach: 600, // saddle centre to hands, horizontally
+  cadence: 90, // RPM
+  noise: 2, // landmark jitter, standard deviation in pixels
+  dropouts: 2, // % of frames with no pose or a hidden foot
+  cameraSide: "left",
+  duration: 45, // seconds of pedaling before the rider stops
+  seed: 1,
+};
+
+const RIDER = {
+  thigh: 440,
+  shank: 440,
+  torso: 520,
+  upperArm: 300,
+  forearm: 270,
+  footLength: 260, // heel to toe
+  ankleHeight: 80, // ankle joint above the sole
+  hipAboveSaddle: 80,
+};
+const CRANK_LENGTH = 172.5;
+const BAR_DROP = 100; // hands below the saddle
+const ELBOW_REACH = 0.975; // shoulder–wrist distance as a fraction of arm length
+const BALL_OF_FOOT = 0.7; // must match angles.js: spindle under the ball of the foot
+const KNEE_FRONT_OFFSET = 0.1; // must match angles.js
+const MAX_LEG_REACH = 0.99; // hip drops to keep the leg from locking out
+const ANKLE_ANGLE = 112; // mean knee–ankle–toe angle
+const ANKLING = 11; // ± degrees through the stroke
+const ANKLING_PEAK = 200; // crank angle of the most pointed toes
+
+const FPS = 30;
+const WIDTH = 1280;
+const HEIGHT = 720;
+const SCALE = 0.5 / 1000; // image heights per millimetre
+const ORIGIN_Y = 0.8; // bottom bracket height in the image
+const STOP_RAMP_S = 1.5;
+const TAIL_S = 4; // still frames after stopping, so the app sees pedaling end
+const CADENCE_WOBBLE = 0.02; // slow ±2% cadence drift
+const WOBBLE_PERIOD_S = 7;
+
+const NEAR = { left: { shoulder: 11, elbow: 13, wrist: 15, hip: 23, knee: 25, ankle: 27, heel: 29, footIndex: 31 },
+  right: { shoulder: 12, elbow: 14, wrist: 16, hip: 24, knee: 26, ankle: 28, heel: 30, footIndex: 32 } };
+const HAND_POINTS = { left: [17, 19, 21], right: [18, 20, 22] }; // pinky, index, thumb
+const FACE_POINTS = 11; // 0–10: nose, eyes, ears, mouth
+
+const deg = (rad) => (rad * 180) / Math.PI;
+const rad = (d) => (d * Math.PI) / 180;
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k });
+const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+function angleAt(a, b, c) {
+  const v1 = { x: a.x - b.x, y: a.y - b.y };
+  const v2 = { x: c.x - b.x, y: c.y - b.y };
+  return deg(Math.atan2(Math.abs(v1.x * v2.y - v1.y * v2.x), v1.x * v2.x + v1.y * v2.y));
+}
+
+/**
+ * Middle joint of a two-segment limb. `pick` chooses between the two
+ * solutions (knee forward, elbow down).
+ */
+function solveJoint(start, end, l1, l2, pick) {
+  const d = Math.min(dist(start, end), l1 + l2 - 1e-6);
+  const u = { x: (end.x - start.x) / dist(start, end), y: (end.y - start.y) / dist(start, end) };
+  const a = (l1 ** 2 - l2 ** 2 + d ** 2) / (2 * d);
+  const h = Math.sqrt(Math.max(0, l1 ** 2 - a ** 2));
+  const base = add(start, scale(u, a));
+  const candidates = [add(base, { x: -u.y * h, y: u.x * h }), add(base, { x: u.y * h, y: -u.x * h })];
+  return pick(candidates[0], candidates[1]) ? candidates[0] : candidates[1];
+}
+
+/**
+ * Seeded PRNG (mulberry32), so a simulation with the same seed is repeatable.
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates MediaPipe-shaped landmark frames for a rider pedaling at a steady
+ * cadence, then stopping. Frames are produced in order by frame().
+ */
+export class RiderSimulator {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_SIMULATION, ...params };
+    this.fps = FPS;
+    this.width = WIDTH;
+    this.height = HEIGHT;
+    this.aspectRatio = WIDTH / HEIGHT;
+    this.frameCount = Math.round((this.params.duration + STOP_RAMP_S + TAIL_S) * FPS);
+    this.rand = random(this.params.seed);
+    this.lastTime = 0;
+
+    const { saddleHeight, setback, reach } = this.params;
+    this.saddle = { x: -setback, y: Math.sqrt(Math.max(saddleHeight ** 2 - setback ** 2, 0)) };
+    this.hip = { x: this.saddle.x, y: this.saddle.y + RIDER.hipAboveSaddle };
+    this.hands = { x: this.saddle.x + reach, y: this.saddle.y - BAR_DROP };
+    this.torsoAngle = this._solveTorso();
+  }
+
+  /**
+   * Torso angle that puts the hands on the bars with a slight elbow bend.
+   */
+  _solveTorso() {
+    const target = (RIDER.upperArm + RIDER.forearm) * ELBOW_REACH;
+    let best = 45;
+    let bestError = Infinity;
+    for (let a = 5; a <= 85; a += 0.1) {
+      const error = Math.abs(dist(this._shoulder(a, this.hip), this.hands) - target);
+      if (error < bestError) {
+        best = a;
+        bestError = error;
+      }
+    }
+    return best;
+  }
+
+  _shoulder(torsoAngle, hip) {
+    return { x: hip.x + RIDER.torso * Math.cos(rad(torsoAngle)), y: hip.y + RIDER.torso * Math.sin(rad(torsoAngle)) };
+  }
+
+  /**
+   * Crank angle in degrees at time t (s): 0 = TDC, 90 = 3 o'clock.
+   */
+  _crank(t) {
+    const w = (this.params.cadence / 60) * 360; // deg/s
+    const wobble = (CADENCE_WOBBLE * w * WOBBLE_PERIOD_S) / (2 * Math.PI);
+    const steady = (s) => w * s + wobble * Math.sin((2 * Math.PI * s) / WOBBLE_PERIOD_S);
+    const { duration } = this.params;
+    if (t <= duration) return steady(t);
+    const wEnd = w * (1 + CADENCE_WOBBLE * Math.cos((2 * Math.PI * duration) / WOBBLE_PERIOD_S));
+    const s = Math.min(t - duration, STOP_RAMP_S);
+    return steady(duration) + wEnd * s - (wEnd * s * s) / (2 * STOP_RAMP_S);
+  }
+
+  /**
+   * Foot on the pedal for a crank angle and foot pitch (degrees, + = toes down).
+   */
+  _footAt(crank, pitchDeg) {
+    const pedal = { x: CRANK_LENGTH * Math.sin(rad(crank)), y: CRANK_LENGTH * Math.cos(rad(crank)) };
+    const u = { x: Math.cos(rad(pitchDeg)), y: -Math.sin(rad(pitchDeg)) };
+    const up = { x: -u.y, y: u.x };
+    const heel = add(pedal, scale(u, -BALL_OF_FOOT * RIDER.footLength));
+    const footIndex = add(heel, scale(u, RIDER.footLength));
+    const ankle = add(add(heel, scale(u, 0.25 * RIDER.footLength)), scale(up, RIDER.ankleHeight));
+    return { pedal, heel, footIndex, ankle };
+  }
+
+  /**
+   * One foot for a crank angle. Ankling is modelled as a target ankle angle —
+   * heel drop on the downstroke, toes down through the bottom — and the foot
+   * pitch that produces it is found by iterating, since the knee moves with it.
+   */
+  _foot(crank) {
+    const target = ANKLE_ANGLE + ANKLING * Math.cos(rad(crank - ANKLING_PEAK));
+    let pitch = 15;
+    let foot = null;
+    for (let i = 0; i < 6; i++) {
+      foot = this._footAt(crank, pitch);
+      const knee = solveJoint(this.hip, foot.ankle, RIDER.thigh, RIDER.shank, (a, b) => a.x > b.x);
+      pitch += target - angleAt(knee, foot.ankle, foot.footIndex);
+    }
+    return foot;
+  }
+
+  /**
+   * Noise-free body pose at crank angle `crank`, for the near and far legs.
+   */
+  _pose(crank) {
+    const near = this._foot(crank);
+    const far = this._foot(crank + 180);
+    // A saddle that's too high makes the pelvis drop to reach the pedals
+    let hipY = this.hip.y;
+    for (const { ankle } of [near, far]) {
+      const dx = this.hip.x - ankle.x;
+      const maxY = ankle.y + Math.sqrt(Math.max((MAX_LEG_REACH * (RIDER.thigh + RIDER.shank)) ** 2 - dx ** 2, 0));
+      hipY = Math.min(hipY, maxY);
+    }
+    const hip = { x: this.hip.x, y: hipY };
+    const forward = (a, b) => a.x > b.x;
+    const below = (a, b) => a.y < b.y;
+    const shoulder = this._shoulder(this.torsoAngle, hip);
+    const elbow = solveJoint(shoulder, this.hands, RIDER.upperArm, RIDER.forearm, below);
+    return {
+      hip,
+      shoulder,
+      elbow,
+      wrist: this.hands,
+      near: { ...near, knee: solveJoint(hip, near.ankle, RIDER.thigh, RIDER.shank, forward) },
+      far: { ...far, knee: solveJoint(hip, far.ankle, RIDER.thigh, RIDER.shank, forward) },
+    };
+  }
+
+  _toImage(p) {
+    const dir = this.params.cameraSide === "left" ? -1 : 1; // rider faces left when filmed from the left
+    return { x: 0.5 + (dir * p.x * SCALE) / this.aspectRatio, y: ORIGIN_Y - p.y * SCALE };
+  }
+
+  _gaussian() {
+    const u = 1 - this.rand();
+    const v = this.rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Landmarks for frame i (0 ≤ i < frameCount).
+   * @returns {Object} { timestamp, landmarks } where landmarks is null for a dropped frame
+   */
+  frame(i) {
+    const t = i / FPS;
+    const timestamp = (i * 1000) / FPS;
+    this.lastTime = t;
+    const { noise, dropouts, cameraSide } = this.params;
+    if (this.rand() * 100 < dropouts) return { timestamp, landmarks: null };
+
+    const pose = this._pose(this._crank(t));
+    const farSide = cameraSide === "left" ? "right" : "left";
+    const footHidden = this.rand() * 100 < dropouts;
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.1 }));
+
+    const place = (index, point, visibility, z) => {
+      const p = this._toImage(point);
+      landmarks[index] = {
+        x: p.x + (this._gaussian() * noise) / WIDTH,
+        y: p.y + (this._gaussian() * noise) / HEIGHT,
+        z,
+        visibility: Math.min(1, Math.max(0, visibility + this._gaussian() * 0.02)),
+      };
+    };
+
+    for (const [side, leg, visibility, z] of [[cameraSide, pose.near, 0.95, -0.1], [farSide, pose.far, 0.4, 0.1]]) {
+      const idx = NEAR[side];
+      place(idx.shoulder, pose.shoulder, visibility, z);
+      place(idx.elbow, pose.elbow, visibility, z);
+      place(idx.wrist, pose.wrist, visibility, z);
+      place(idx.hip, pose.hip, visibility, z);
+      place(idx.knee, leg.knee, visibility, z);
+      place(idx.ankle, leg.ankle, visibility, z);
+      const footVisibility = side === cameraSide && footHidden ? 0.3 : visibility;
+      place(idx.heel, leg.heel, footVisibility, z);
+      place(idx.footIndex, leg.footIndex, footVisibility, z);
+      for (const index of HAND_POINTS[side]) place(index, add(pose.wrist, { x: 60, y: -10 }), visibility * 0.8, z);
+    }
+    // Head ahead of and above the shoulders
+    const head = add(pose.shoulder, { x: 150, y: 120 });
+    for (let index = 0; index < FACE_POINTS; index++) place(index, head, 0.9, -0.2);
+
+    return { timestamp, landmarks };
+  }
+
+  /**
+   * Draw the bike under the rider for the most recent frame, so the demo
+   * shows more than a floating skeleton.
+   */
+  drawBike(ctx, w, h) {
+    const pose = this._pose(this._crank(this.lastTime));
+    const px = (p) => {
+      const q = this._toImage(p);
+      return [q.x * w, q.y * h];
+    };
+    const line = (...points) => {
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(...px(p)) : ctx.lineTo(...px(p))));
+      ctx.stroke();
+    };
+    const wheelRadius = 336 * SCALE * h;
+    const rearAxle = { x: -410, y: -70 };
+    const frontAxle = { x: 580, y: -70 };
+    const headTube = { x: this.hands.x - 60, y: this.hands.y - 40 };
+
+    ctx.save();
+    ctx.strokeStyle = "#475569";
+    ctx.lineWidth = 3;
+    for (const axle of [rearAxle, frontAxle]) {
+      ctx.beginPath();
+      ctx.arc(...px(axle), wheelRadius, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    ctx.lineWidth = 5;
+    line(rearAxle, { x: 0, y: 0 }, this.saddle, rearAxle);
+    line({ x: 0, y: 0 }, headTube, this.saddle);
+    line(headTube, frontAxle);
+    line(headTube, this.hands);
+    ctx.strokeStyle = "#94a3b8";
+    ctx.lineWidth = 4;
+    line(pose.far.pedal, { x: 0, y: 0 }, pose.near.pedal);
+    line(add(this.saddle, { x: -120, y: 10 }), add(this.saddle, { x: 130, y: 10 }));
+    ctx.restore();
+  }
+
+  /**
+   * Exact values of every metric the analysis reports, from the noise-free
+   * model at the steady cadence. Same definitions as angles.js and cadence.js.
+   * @returns {Object} { knee, hip, torso, elbow, ankle, kops, hipRock }
+   */
+  groundTruth() {
+    const at = (crank) => this._pose(crank);
+    const ankleAngle = (p) => angleAt(p.near.knee, p.near.ankle, p.near.footIndex);
+    const ankles = [];
+    const elbows = [];
+    const hipYs = [];
+    for (let crank = 0; crank < 360; crank += 1) {
+      const p = at(crank);
+      ankles.push(ankleAngle(p));
+      elbows.push(angleAt(p.shoulder, p.elbow, p.wrist));
+      hipYs.push(p.hip.y);
+    }
+
+    const tdc = at(0);
+    const bdc = at(180);
+    const three = at(90);
+    const kneeFront = three.near.knee.x + KNEE_FRONT_OFFSET * RIDER.thigh;
+    const round1 = (v) => Math.round(v * 10) / 10;
+    return {
+      knee: round1(angleAt(bdc.hip, bdc.near.knee, bdc.near.ankle)),
+      hip: round1(angleAt(tdc.shoulder, tdc.hip, tdc.near.knee)),
+      torso: round1(this.torsoAngle),
+      elbow: round1(elbows.reduce((sum, v) => sum + v, 0) / elbows.length),
+      ankle: round1(Math.max(...ankles) - Math.min(...ankles)),
+      kops: round1(((kneeFront - three.near.pedal.x) / RIDER.thigh) * 100),
+      hipRock: round1(((Math.max(...hipYs) - Math.min(...hipYs)) / RIDER.thigh) * 100),
+    };
+  }
+}
+
+/**
+ * Show measured averages next to the simulator's ground truth.
+ * @param {Array} results - analyzeSession() results
+ * @param {Object|null} truth - groundTruth() output, or null to hide the panel
+ */
+export function renderGroundTruth(results, truth) {
+  const container = document.getElementById("groundTruth");
+  if (!truth) {
+    container.hidden = true;
+    return;
+  }
+
+  const rows = results
+    .filter((rec) => truth[rec.key] !== undefined)
+    .map((rec) => {
+      const unit = rec.unit || "°";
+      const error = Math.round((rec.avg - truth[rec.key]) * 10) / 10;
+      return `<tr><td>${rec.name}</td><td>${rec.avg}${unit}</td><td>${truth[rec.key]}${unit}</td><td>${error > 0 ? "+" : ""}${error}${unit}</td></tr>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <div class="ground-truth__title">Simulated rider — measured vs. ground truth</div>
+    <table class="ground-truth__table">
+      <thead><tr><th>Metric</th><th>Measured</th><th>Truth</th><th>Error</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  container.hidden = false;
+}
@@ -0,0 +1,107 @@
+// One-Euro filter defaults. minCutoff (Hz) sets how hard a still landmark is
+// smoothed; beta raises the cutoff with speed so fast limbs don't lag.
+// Coordinates are normalized image units, so speeds are image heights per second.
+export const DEFAULT_SMOOTHING = {
+  enabled: true,
+  minCutoff: 4,
+  beta: 40,
+};
+
+const DERIVATIVE_CUTOFF = 1; // Hz
+// A landmark unseen for longer than this restarts its filter instead of
+// gliding from a stale position to the new one.
+const MAX_GAP_MS = 250;
+const MIN_VISIBILITY = 0.5;
+
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-Euro filter for a single scalar signal (Casiez et al., CHI 2012).
+ */
+class OneEuroFilter {
+  constructor(minCutoff, beta) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.value = null;
+    this.derivative = 0;
+  }
+
+  /**
+   * @param {number} value - raw measurement
+   * @param {number} dt - seconds since the previous measurement
+   * @returns {number} filtered value
+   */
+  filter(value, dt) {
+    if (this.value === null) {
+      this.value = value;
+      return value;
+    }
+
+    const rawDerivative = (value - this.value) / dt;
+    const aD = smoothingFactor(DERIVATIVE_CUTOFF, dt);
+    this.derivative += aD * (rawDerivative - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const a = smoothingFactor(cutoff, dt);
+    this.value += a * (value - this.value);
+    return this.value;
+  }
+}
+
+/**
+ * Per-landmark temporal smoothing for MediaPipe pose landmarks.
+ * Feed every frame through filter() before computing angles.
+ */
+export class LandmarkSmoother {
+  constructor(options = DEFAULT_SMOOTHING) {
+    this.configure(options);
+  }
+
+  /**
+   * Change filter settings. Restarts all filters.
+   * @param {Object} options - { enabled, minCutoff, beta }
+   */
+  configure(options) {
+    this.options = { ...DEFAULT_SMOOTHING, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = []; // per landmark index: { x, y, lastTime }
+  }
+
+  /**
+   * Smooth one frame of landmarks.
+   * Hidden landmarks (low visibility) pass through untouched so downstream
+   * visibility checks still drop them, and their filter restarts once they
+   * have been gone longer than MAX_GAP_MS.
+   * @param {Array} landmarks - MediaPipe landmarks ({ x, y, z, visibility })
+   * @param {number} timestamp - frame time in ms
+   * @returns {Array} filtered landmarks (same shape), or the input when disabled
+   */
+  filter(landmarks, timestamp) {
+    if (!this.options.enabled) return landmarks;
+
+    return landmarks.map((lm, i) => {
+      if (lm.visibility !== undefined && lm.visibility < MIN_VISIBILITY) return lm;
+
+      let track = this.tracks[i];
+      const gap = track ? timestamp - track.lastTime : Infinity;
+      // Gaps and timestamps running backwards (a restarted video) start over
+      if (gap > MAX_GAP_MS || gap <= 0) {
+        track = this.tracks[i] = {
+          x: new OneEuroFilter(this.options.minCutoff, this.options.beta),
+          y: new OneEuroFilter(this.options.minCutoff, this.options.beta),
+          lastTime: timestamp,
+        };
+      }
+
+      const dt = Math.max(gap, 1) / 1000;
+      track.lastTime = timestamp;
+      return { ...lm, x: track.x.filter(lm.x, dt), y: track.y.filter(lm.y, dt) };
+    });
+  }
+}
@@ -0,0 +1,103 @@
+const STREAM_FORMAT = "openbikefit-landmarks";
+const STREAM_VERSION = 1;
+// Coordinates are stored as integers in 1/100000 of the image, well below a
+// pixel, which keeps the file small and gzip-friendly.
+const COORD_SCALE = 100000;
+const FIELDS = ["x", "y", "z", "visibility"];
+
+const encode = (v) => (v === undefined ? null : Math.round(v * COORD_SCALE));
+
+/**
+ * Records every landmark frame handed to the analysis pipeline, so a session
+ * can be replayed later without the camera or MediaPipe.
+ */
+export class StreamRecorder {
+  constructor() {
+    this.frames = [];
+    this.meta = null;
+  }
+
+  /**
+   * Discard any previous recording and start a new one.
+   * @param {Object} meta - { source, aspectRatio, width, height, settings }
+   */
+  start(meta) {
+    this.meta = { ...meta, createdAt: Date.now() };
+    this.frames = [];
+  }
+
+  /**
+   * Add one onFrame() call: raw landmarks and the frame timestamp in ms.
+   */
+  add(landmarks, timestamp) {
+    if (!this.meta) return;
+    const row = [Math.round(timestamp * 100) / 100];
+    for (const lm of landmarks) {
+      for (const field of FIELDS) row.push(encode(lm[field]));
+    }
+    this.frames.push(row);
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Serialize the recording, gzip-compressed where the browser supports it.
+   * @returns {Promise<Blob>}
+   */
+  async toBlob() {
+    const json = JSON.stringify({
+      format: STREAM_FORMAT,
+      version: STREAM_VERSION,
+      ...this.meta,
+      createdAt: new Date(this.meta.createdAt).toISOString(),
+      scale: COORD_SCALE,
+      fields: FIELDS,
+      frames: this.frames,
+    });
+    const blob = new Blob([json], { type: "application/json" });
+    if (typeof CompressionStream === "undefined") return blob;
+    const gzipped = await new Response(blob.stream().pipeThrough(new CompressionStream("gzip"))).arrayBuffer();
+    return new Blob([gzipped], { type: "application/gzip" });
+  }
+}
+
+/**
+ * Load a recorded landmark stream (gzipped or plain JSON).
+ * @param {File} file
+ * @returns {Promise<Object>} { source, aspectRatio, width, height, settings, createdAt,
+ *   frames: [{ timestamp, landmarks }] } where landmarks match MediaPipe's shape
+ */
+export async function readStream(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let blob = new Blob([bytes]);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    blob = await new Response(blob.stream().pipeThrough(new DecompressionStream("gzip"))).blob();
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(await blob.text());
+  } catch {
+    throw new Error("Not a landmark recording");
+  }
+  if (doc.format !== STREAM_FORMAT) throw new Error("Not a landmark recording");
+  if (doc.version > STREAM_VERSION) throw new Error("Landmark recording is from a newer version of OpenBikeFit");
+
+  const { frames, fields, scale, ...meta } = doc;
+  return {
+    ...meta,
+    frames: frames.map(([timestamp, ...values]) => {
+      const landmarks = [];
+      for (let i = 0; i < values.length; i += fields.length) {
+        const lm = {};
+        fields.forEach((field, j) => {
+          lm[field] = values[i + j] === null ? undefined : values[i + j] / scale;
+        });
+        landmarks.push(lm);
+      }
+      return { timestamp, landmarks };
+    }),
+  };
+}
@@ -0,0 +1,144 @@
+// Service worker: keeps the app usable without a network connection.
+//
+// The app shell is cached on install and served network-first, so a new deploy
+// shows up on the next online load. On a slow connection the cached copy is
+// served after a short wait, and the response still refreshes the cache. Everything else (CDN scripts, the MediaPipe
+// WASM and the pose model) is served cache-first: those URLs are versioned and
+// large. The page asks for the pose assets to be cached once the model has
+// loaded (see js/offline.js), because the model URL can be overridden.
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `openbikefit-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `openbikefit-assets-${CACHE_VERSION}`;
+const NETWORK_TIMEOUT_MS = 3000;
+
+const SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "manifest.webmanifest",
+  "icon.svg",
+  "js/app.js",
+  "js/analysis.js",
+  "js/angles.js",
+  "js/backends.js",
+  "js/cadence.js",
+  "js/calibration.js",
+  "js/charts.js",
+  "js/export.js",
+  "js/history.js",
+  "js/offline.js",
+  "js/pipeline.js",
+  "js/pose.js",
+  "js/pose-worker.js",
+  "js/presets.js",
+  "js/recorder.js",
+  "js/report.js",
+  "js/simulator.js",
+  "js/smoothing.js",
+  "js/stats.js",
+  "js/stream.js",
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.7/dist/chart.umd.min.js",
+  "https://cdn.jsdelivr.net/npm/chartjs-plugin-annotation@3.1.0/dist/chartjs-plugin-annotation.min.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, ASSET_CACHE]);
+    for (const key of await caches.keys()) {
+      if (key.startsWith("openbikefit-") && !keep.has(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || !url.protocol.startsWith("http")) return;
+
+  // A model overridden to a local path is as large as the CDN one
+  const isShell = url.origin === self.location.origin && !url.pathname.endsWith(".task");
+  event.respondWith(isShell ? networkFirst(event) : cacheFirst(request));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "precache") return;
+  event.waitUntil(precache(event.data.urls).then((result) => event.ports[0]?.postMessage(result)));
+});
+
+async function networkFirst(event) {
+  const { request } = event;
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+  // Keep the worker alive to finish the refresh if the cache answers first
+  event.waitUntil(network.catch(() => {}));
+
+  try {
+    const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS, null));
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+    return (await cachedShell(request)) ?? (await network);
+  } catch (err) {
+    const cached = await cachedShell(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Cached copy of an app shell request; navigations fall back to index.html.
+ */
+async function cachedShell(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached || request.mode !== "navigate") return cached ?? null;
+  return (await caches.match("index.html")) ?? null;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // The page loads CDN scripts with crossorigin, so a failed download is never opaque
+  if (response.ok) {
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Download any of `urls` not cached yet. Models no longer in the list (after
+ * the model URL is changed) are dropped, since each one is tens of MB.
+ * @returns {Promise<Object>} { failed: [{ url, error }] }
+ */
+async function precache(urls) {
+  const cache = await caches.open(ASSET_CACHE);
+  const wanted = new Set(urls);
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.endsWith(".task") && !wanted.has(request.url)) {
+      await cache.delete(request);
+    }
+  }
+
+  const failed = [];
+  for (const url of urls) {
+    if (await cache.match(url)) continue;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await cache.put(url, response);
+    } catch (err) {
+      failed.push({ url, error: err.message });
+    }
+  }
+  return { failed };
+}